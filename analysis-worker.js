@@ -0,0 +1,40 @@
+'use strict';
+/**
+ * @description Frame analysis worker. Receives downscaled frames as ImageBitmap
+ * or VideoFrame, draws them on an OffscreenCanvas and posts the grid metrics
+ * back to the content script. Runs as a blob together with frame-metrics.js,
+ * see FlashProtector.startAnalysisWorker.
+ */
+
+(function() {
+    /** @type {OffscreenCanvas|null} */
+    let canvas = null;
+    /** @type {OffscreenCanvasRenderingContext2D|null} */
+    let context = null;
+
+    self.onmessage = ({ data }) => {
+        const { id, frame, width, height, gridColumns, gridRows } = data;
+        try {
+            if (!canvas) {
+                canvas = new OffscreenCanvas(width, height);
+                context = canvas.getContext('2d', { willReadFrequently: true });
+            } else if (canvas.width !== width || canvas.height !== height) {
+                canvas.width = width;
+                canvas.height = height;
+            }
+
+            context.drawImage(frame, 0, 0, width, height);
+            const imageData = context.getImageData(0, 0, width, height).data;
+
+            self.postMessage({
+                id,
+                metrics: FrameMetrics.analyzePixels(imageData, width, height, gridColumns, gridRows)
+            });
+        } catch (error) {
+            // Cross-origin frames without CORS cannot be read here either
+            self.postMessage({ id, error: error.message });
+        } finally {
+            frame.close();
+        }
+    };
+})();
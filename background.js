@@ -1,35 +1,22 @@
 'use strict';
 
+importScripts('protocol.js', 'settings.js');
+
 (function() {
    
     const state = Object.seal({
         activeTabsProtected: new Set(),
-        globalStats: {
-            totalFlashes: 0,
-            lastDetection: null
-        },
-        connections: new Map()
+        connections: new Map(), // Content script endpoints by 'tabId:frameId'
+        pages: new Set()        // Endpoints of open extension pages
     });
 
-    let lastStorageUpdate = 0;
-    const MIN_STORAGE_INTERVAL = 2000; // Minimum 2 seconds between storage operations
-
-    // Validate message data
-    /**
-     * Validates the structure and type of a message object.
-     * @param {Object} message - The message object to validate.
-     * @returns {boolean} - Returns true if the message is valid.
-     * @throws {Error} - Throws an error if the message is invalid.
-     */
-    function validateMessage(message) {
-        if (!message || typeof message !== 'object') {
-            throw new Error('Invalid message format');
-        }
-        if (typeof message.type !== 'string') {
-            throw new Error('Invalid message type');
-        }
-        return true;
-    }
+    // Settings kept in chrome.storage.sync, exported and imported as a whole, see settings.js
+    const SETTINGS_KEYS = Settings.KEYS;
+    const EXPORT_FORMAT = 'epilepsy-flash-protection';
+    const EXPORT_VERSION = 1;
+    const WARNINGS_FORMAT = 'flash-warnings';
+    const WARNINGS_VERSION = 1;
+    const WARNING_SEVERITIES = ['moderate', 'high', 'severe'];
 
     // Add settings recovery mechanism
     const settingsManager = {
@@ -37,6 +24,11 @@
         retryAttempts: 0,
         maxRetries: 3,
 
+        /**
+         * Saves settings, retrying in the background when the write fails.
+         * @param {Object} settings - The settings to save.
+         * @returns {Promise<void>} Rejects when the write fails, even if a retry is scheduled.
+         */
         async saveSettings(settings) {
             this.lastSettings = settings;
             try {
@@ -48,6 +40,7 @@
                     this.retryAttempts++;
                     this.retrySaveSettings(settings);
                 }
+                throw error;
             }
         },
 
@@ -57,20 +50,9 @@
          */
         async recoverSettings() {
             try {
-                const result = await chrome.storage.sync.get(['stats', 'threshold', 'userPreferences']);
-                if (result.stats) {
-                    state.globalStats = result.stats;
-                }
-                if (result.threshold) {
-                    broadcastToAllTabs({
-                        type: 'settingsUpdated',
-                        settings: {
-                            threshold: result.threshold,
-                            userPreferences: result.userPreferences
-                        }
-                    });
-                }
-                return result;
+                const settings = await Settings.load();
+                broadcastToFrames('settingsUpdated', { settings });
+                return settings;
             } catch (error) {
                 console.error('Settings recovery failed:', error);
                 return null;
@@ -78,117 +60,236 @@
         },
 
         retrySaveSettings(settings) {
-            setTimeout(() => this.saveSettings(settings), 2000);
-        }
-    };
+            // Failures are logged by saveSettings, nobody waits on the retry
+            setTimeout(() => this.saveSettings(settings).catch(() => {}), 2000);
+        },
 
-    // Secure message handler
-    chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-        const handleAsyncResponse = async () => {
-            try {
-                if (!validateMessage(message)) {
-                    throw new Error('Message validation failed');
-                }
+        /**
+         * Checks and saves changed settings, then passes them on to content scripts.
+         * @param {Object} changes - Complete groups by name, see Settings.validate.
+         * @returns {Promise<void>}
+         */
+        async saveChanges(changes) {
+            Settings.validate(changes);
+            await this.saveSettings(changes);
+            broadcastToFrames('settingsUpdated', { settings: changes });
+        },
 
-                const safeTabId = sender.tab?.id;
-
-                switch (message.type) {
-                    case 'statsRequest':
-                        const result = await chrome.storage.sync.get(['stats', 'globalStats']);
-                        sendResponse({
-                            success: true,
-                            stats: {
-                                ...result.stats,
-                                ...result.globalStats,
-                                timestamp: Date.now()
-                            }
-                        });
-                        break;
-
-                    case 'settingsUpdate':
-                        if (validateSettings(message.settings)) {
-                            await settingsManager.saveSettings(message.settings);
-                            await broadcastToAllTabs({
-                                type: 'settingsUpdated',
-                                settings: message.settings
-                            });
-                            sendResponse({ success: true });
-                        } else {
-                            sendResponse({ success: false, error: 'Invalid settings' });
-                        }
-                        break;
-
-                    case 'statsUpdate':
-                        updateGlobalStats(message.stats, true);
-                        sendResponse({ success: true });
-                        break;
-                    case 'getState':
-                        sendResponse(state);
-                        break;
-                    case 'sensitivityChanged':
-                        broadcastToAllTabs(message);
-                        sendResponse({ success: true });
-                        break;
-                    case 'connect':
-                        handleConnection(safeTabId);
-                        sendResponse({ success: true });
-                        break;
-                    case 'recoveryRequest':
-                        settingsManager.recoverSettings()
-                            .then(settings => sendResponse({ success: true, settings }))
-                            .catch(error => sendResponse({ success: false, error }));
-                        return true; // Keep channel open for async response
-                }
-            } catch (error) {
-                console.error('Message handling error:', error);
-                sendResponse({ success: false, error: error.message });
+        /**
+         * Applies a profile's settings and makes it the active profile. Content
+         * scripts announce the change when they see it in storage.
+         * @param {string} id - The profile ID, see Settings.listProfiles.
+         * @returns {Promise<{id: string, name: string, builtIn: boolean}>} The profile applied.
+         */
+        async applyProfile(id) {
+            const settings = await Settings.load();
+            const groups = Settings.profileSettings(settings, id);
+            if (!groups) {
+                throw new Error(`Unknown profile ${id}`);
             }
-        };
+            await this.saveChanges({ ...groups, profiles: { ...settings.profiles, active: id } });
+            return Settings.listProfiles(settings).find(profile => profile.id === id);
+        },
 
-        handleAsyncResponse().catch(error => {
-            console.error('Async handling error:', error);
-            sendResponse({ success: false, error: 'Async operation failed' });
-        });
+        /**
+         * Applies the profile after the active one, for the keyboard command.
+         * @returns {Promise<{id: string, name: string, builtIn: boolean}>} The profile applied.
+         */
+        async nextProfile() {
+            const settings = await Settings.load();
+            const profiles = Settings.listProfiles(settings);
+            const index = profiles.findIndex(({ id }) => id === settings.profiles.active);
+            return this.applyProfile(profiles[(index + 1) % profiles.length].id);
+        },
 
-        return true; // Indicate async response
-    });
+        /**
+         * Saves the current settings as a new profile, which becomes the active one.
+         * @param {string} name - The profile name.
+         * @returns {Promise<{id: string, name: string}>} The new profile.
+         */
+        async saveProfile(name) {
+            const settings = await Settings.load();
+            const trimmed = name.trim();
+            if (!trimmed || trimmed.length > 40) {
+                throw new Error('Profile names need 1 to 40 characters');
+            }
+            if (Object.keys(settings.profiles.custom).length >= Settings.MAX_PROFILES) {
+                throw new Error(`Up to ${Settings.MAX_PROFILES} profiles can be saved, delete one first`);
+            }
+
+            const id = `custom-${Date.now().toString(36)}`;
+            const profile = {
+                name: trimmed,
+                settings: Object.fromEntries(Settings.PROFILE_GROUPS.map(group => [group, settings[group]]))
+            };
+            await this.saveChanges({
+                profiles: { active: id, custom: { ...settings.profiles.custom, [id]: profile } }
+            });
+            return { id, name: trimmed };
+        },
+
+        /**
+         * Deletes a profile the user created, with the site rules that apply it.
+         * The current settings are kept.
+         * @param {string} id - The profile ID.
+         * @returns {Promise<void>}
+         */
+        async deleteProfile(id) {
+            const settings = await Settings.load();
+            if (!settings.profiles.custom[id]) {
+                throw new Error('Only profiles you saved can be deleted');
+            }
+            const { [id]: deleted, ...custom } = settings.profiles.custom;
+            const siteRules = Object.fromEntries(Object.entries(settings.siteRules)
+                .filter(([, rule]) => rule.profile !== id));
+            await this.saveChanges({
+                profiles: { active: settings.profiles.active === id ? null : settings.profiles.active, custom },
+                siteRules
+            });
+        }
+    };
 
     /**
-     * Validates the provided settings object.
-     * @param {Object} settings - The settings object to validate.
-     * @returns {boolean} - Returns true if the settings are valid, otherwise false.
+     * Handles a message from a content script or extension page. Messages are
+     * checked against their schema in protocol.js before they get here.
+     * @param {string} type - The message type, see Protocol.MESSAGES.
+     * @param {Object} payload - The message fields.
+     * @param {chrome.runtime.Port} port - The port the message came on.
+     * @returns {Promise<*>} The answer to requests.
      */
-    function validateSettings(settings) {
-        if (!settings) return false;
+    async function handleMessage(type, payload, port) {
+        const { sender } = port;
+        // State from before a restart is restored first, so reports are not overwritten by it
+        await sessionState.restore();
 
-        // Validate threshold
-        if ('threshold' in settings) {
-            const threshold = parseFloat(settings.threshold);
-            if (isNaN(threshold) || threshold < 0.1 || threshold > 0.5) {
-                return false;
+        switch (type) {
+            case 'statsRequest':
+                return {
+                    stats: await statsManager.read(payload.tabId),
+                    status: await tabStatus.describe(payload.tabId)
+                };
+            case 'statsRecord':
+                await statsManager.record(payload.flashType, sender);
+                return null;
+            case 'statsReset':
+                await statsManager.reset();
+                return {
+                    stats: await statsManager.read(payload.tabId),
+                    status: await tabStatus.describe(payload.tabId)
+                };
+            case 'tabStatus':
+                tabStatus.update(sender, payload.status);
+                return null;
+            case 'settingsUpdate':
+                await settingsManager.saveChanges(payload.settings);
+                return null;
+            case 'profileApply':
+                return settingsManager.applyProfile(payload.id);
+            case 'profileSave':
+                return settingsManager.saveProfile(payload.name);
+            case 'profileDelete':
+                await settingsManager.deleteProfile(payload.id);
+                return null;
+            case 'recoveryRequest':
+                return { settings: await settingsManager.recoverSettings() };
+            case 'flashEvent':
+                await eventLog.add(payload.event, sender);
+                return null;
+            case 'eventLogQuery':
+                return { events: await eventLog.query(payload.query) };
+            case 'eventLogClear':
+                await eventLog.clear();
+                return null;
+            case 'exportData':
+                return dataTransfer.export(payload.format);
+            case 'importPreview':
+                return { preview: await dataTransfer.preview(payload.bundle, payload.mode) };
+            case 'importApply':
+                await dataTransfer.apply(payload.bundle, payload.mode);
+                return null;
+            case 'warningsImport':
+                return flashWarnings.import(payload.manifest, payload.mode);
+            case 'warningsExport':
+                return flashWarnings.export();
+            case 'warningsClear':
+                await chrome.storage.local.remove('flashWarnings');
+                return null;
+            case 'warningTrackRequest': {
+                // Videos may sit in any frame, so every frame is asked and the one with most segments wins
+                const frames = [...state.connections].filter(([key]) => key.startsWith(`${payload.tabId}:`));
+                const tracks = await Promise.all(frames.map(([, endpoint]) =>
+                    Protocol.request(endpoint, 'getWarningTrack').catch(() => null)));
+                return tracks
+                    .filter(track => track?.success)
+                    .sort((a, b) => b.segments - a.segments)[0] || null;
             }
+            default:
+                throw new Error(`Unhandled message ${type}`);
         }
+    }
+
+    /**
+     * Accepts a port from a content script, one per frame, or from an extension
+     * page. A frame's port disconnects when the frame unloads, which removes
+     * it from the connections.
+     * @param {chrome.runtime.Port} port - The new port.
+     */
+    function handleConnection(port) {
+        const { sender } = port;
 
-        // Validate userPreferences
-        if (settings.userPreferences) {
-            const lastSensitivity = parseFloat(settings.userPreferences.lastSensitivity);
-            if (isNaN(lastSensitivity) || lastSensitivity < 1 || lastSensitivity > 5) {
-                return false;
+        if (port.name === Protocol.PORTS.page) {
+            try {
+                assertExtensionPage(sender);
+            } catch (error) {
+                port.disconnect();
+                return;
             }
+            const endpoint = Protocol.createEndpoint(port, 'worker', 'page', handleMessage);
+            state.pages.add(endpoint);
+            port.onDisconnect.addListener(() => state.pages.delete(endpoint));
+            return;
+        }
+
+        const tabId = sender.tab?.id;
+        if (port.name !== Protocol.PORTS.frame || tabId === undefined) {
+            port.disconnect();
+            return;
         }
 
-        return true;
+        const key = `${tabId}:${sender.frameId}`;
+        const endpoint = Protocol.createEndpoint(port, 'worker', 'frame', handleMessage);
+        state.connections.set(key, endpoint);
+        state.activeTabsProtected.add(tabId);
+        sessionState.save();
+
+        port.onDisconnect.addListener(() => {
+            // A frame that reconnected has replaced this endpoint already
+            if (state.connections.get(key) !== endpoint) return;
+            state.connections.delete(key);
+            if (![...state.connections.keys()].some(other => other.startsWith(`${tabId}:`))) {
+                state.activeTabsProtected.delete(tabId);
+            }
+            tabStatus.clearFrame(tabId, sender.frameId);
+            sessionState.save();
+        });
     }
 
-    // Track protected tabs
-    chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
-        if (changeInfo.status === 'complete') {
-            state.activeTabsProtected.add(tabId);
-        }
-    });
+    chrome.runtime.onConnect.addListener(handleConnection);
 
     chrome.tabs.onRemoved.addListener((tabId) => {
         state.activeTabsProtected.delete(tabId);
+        statsManager.tabs.delete(tabId);
+        tabStatus.tabs.delete(tabId);
+        sessionState.save();
+    });
+
+    // A frame that navigates leaves its videos behind, a new page in the tab leaves all of them
+    chrome.webNavigation.onCommitted.addListener(({ tabId, frameId }) => {
+        if (frameId === 0) {
+            tabStatus.clearTab(tabId);
+        } else {
+            tabStatus.clearFrame(tabId, frameId);
+        }
     });
 
     // Storage management with retry logic
@@ -263,87 +364,1144 @@
     };
 
     /**
-     * Updates the global statistics and optionally broadcasts the update to all tabs.
-     * @param {Object} stats - The statistics to update.
-     * @param {boolean} [shouldBroadcast=false] - Whether to broadcast the update to all tabs.
+     * Throws unless a port comes from one of the extension's own pages, such as
+     * the popup. Content scripts run inside web pages and must not send page
+     * messages, which read the log and replace settings.
+     * @param {chrome.runtime.MessageSender} sender - The port's sender
+     * @throws {Error} - Throws an error for senders outside the extension
      */
-    function updateGlobalStats(stats, shouldBroadcast = false) {
-        if (!stats) return;
+    function assertExtensionPage(sender) {
+        if (sender.id !== chrome.runtime.id || !sender.url?.startsWith(chrome.runtime.getURL(''))) {
+            throw new Error('Not allowed from this sender');
+        }
+    }
 
-        const now = Date.now();
-        if (now - lastStorageUpdate < MIN_STORAGE_INTERVAL) {
-            return;
+    // Flash event log in IndexedDB, every detection with where and how it was mitigated
+    const eventLog = {
+        dbName: 'flashProtection',
+        storeName: 'events',
+        version: 1,
+        maxEvents: 10000,
+        maxAgeDays: 90,
+        pruneEvery: 100, // Events added between retention checks
+        addedSincePrune: 0,
+        dbPromise: null,
+
+        /**
+         * Opens the database, creating the event store on first use.
+         * @returns {Promise<IDBDatabase>} The open database.
+         */
+        open() {
+            if (!this.dbPromise) {
+                this.dbPromise = new Promise((resolve, reject) => {
+                    const request = indexedDB.open(this.dbName, this.version);
+                    request.onupgradeneeded = () => {
+                        const store = request.result.createObjectStore(this.storeName, {
+                            keyPath: 'id',
+                            autoIncrement: true
+                        });
+                        store.createIndex('timestamp', 'timestamp');
+                        store.createIndex('videoId', 'videoId');
+                        store.createIndex('site', 'site');
+                    };
+                    request.onsuccess = () => resolve(request.result);
+                    request.onerror = () => {
+                        this.dbPromise = null;
+                        reject(request.error);
+                    };
+                });
+            }
+            return this.dbPromise;
+        },
+
+        /**
+         * Runs a transaction on the event store.
+         * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'.
+         * @param {function(IDBObjectStore): *} work - Issues requests on the store, its return value is resolved.
+         * @returns {Promise<*>} Resolves with the result of work once the transaction completes.
+         */
+        async transaction(mode, work) {
+            const db = await this.open();
+            return new Promise((resolve, reject) => {
+                const tx = db.transaction(this.storeName, mode);
+                const result = work(tx.objectStore(this.storeName));
+                tx.oncomplete = () => resolve(result);
+                tx.onerror = () => reject(tx.error);
+                tx.onabort = () => reject(tx.error);
+            });
+        },
+
+        /**
+         * Validates an event reported by a content script and keeps only known fields.
+         * @param {Object} event - The reported event.
+         * @param {chrome.runtime.MessageSender} sender - The reporting content script.
+         * @returns {Object} The event as stored.
+         * @throws {Error} - Throws an error if the event is invalid.
+         */
+        sanitize(event, sender) {
+            if (!event || typeof event !== 'object') {
+                throw new Error('Invalid flash event');
+            }
+            const number = value => (Number.isFinite(value) ? value : null);
+            const text = (value, maxLength) => (typeof value === 'string' ? value.slice(0, maxLength) : null);
+            const pageUrl = text(event.pageUrl, 2048) || sender.url || null;
+
+            let site = null;
+            try {
+                site = new URL(pageUrl).hostname;
+            } catch (error) {
+                // Keep the event without a site
+            }
+
+            return {
+                pageUrl,
+                site,
+                videoId: text(event.videoId, 256),
+                tabId: sender.tab?.id ?? null,
+                timestamp: number(event.timestamp) ?? Date.now(),
+                mediaTime: number(event.mediaTime),
+                startTime: number(event.startTime),
+                type: event.type === 'red' ? 'red' : 'luminance',
+                source: ['playback', 'lookAhead', 'safeStart'].includes(event.source) ? event.source : 'playback',
+                metrics: {
+                    flashes: number(event.metrics?.flashes),
+                    area: number(event.metrics?.area),
+                    screenShare: number(event.metrics?.screenShare),
+                    values: Array.isArray(event.metrics?.values)
+                        ? event.metrics.values.slice(0, 64).map(number)
+                        : []
+                },
+                mitigation: {
+                    mode: text(event.mitigation?.mode, 32),
+                    strength: number(event.mitigation?.strength)
+                }
+            };
+        },
+
+        /**
+         * Stores a flash event, pruning the log now and then.
+         * @param {Object} event - The event reported by a content script.
+         * @param {chrome.runtime.MessageSender} sender - The reporting content script.
+         * @returns {Promise<void>}
+         */
+        async add(event, sender) {
+            const record = this.sanitize(event, sender);
+            await this.transaction('readwrite', store => store.add(record));
+
+            if (++this.addedSincePrune >= this.pruneEvery) {
+                this.addedSincePrune = 0;
+                this.prune().catch(error => console.error('Event log pruning failed:', error));
+            }
+        },
+
+        /**
+         * Applies the retention limits: drops events older than maxAgeDays,
+         * then the oldest events beyond maxEvents.
+         * @returns {Promise<void>}
+         */
+        async prune() {
+            const cutoff = Date.now() - this.maxAgeDays * 24 * 60 * 60 * 1000;
+            const deleteOldest = (index, range, shouldDelete) => {
+                index.openCursor(range).onsuccess = ({ target }) => {
+                    const cursor = target.result;
+                    if (cursor && shouldDelete()) {
+                        cursor.delete();
+                        cursor.continue();
+                    }
+                };
+            };
+
+            await this.transaction('readwrite', store => {
+                deleteOldest(store.index('timestamp'), IDBKeyRange.upperBound(cutoff, true), () => true);
+            });
+            await this.transaction('readwrite', store => {
+                store.count().onsuccess = ({ target }) => {
+                    let excess = target.result - this.maxEvents;
+                    deleteOldest(store.index('timestamp'), null, () => excess-- > 0);
+                };
+            });
+        },
+
+        /**
+         * Returns logged events, newest first.
+         * @param {Object} [query={}] - Filters, all optional.
+         * @param {string} [query.videoId] - Only events of this video.
+         * @param {string} [query.site] - Only events on this host name.
+         * @param {string} [query.type] - 'luminance' or 'red'.
+         * @param {number} [query.since] - Earliest wall-clock time in milliseconds.
+         * @param {number} [query.until] - Latest wall-clock time in milliseconds.
+         * @param {number} [query.limit=100] - Maximum number of events, at most 1000.
+         * @returns {Promise<Object[]>} The matching events.
+         */
+        async query({ videoId, site, type, since, until, limit = 100 } = {}) {
+            const max = Math.max(1, Math.min(1000, Number(limit) || 100));
+            const range = Number.isFinite(since) || Number.isFinite(until)
+                ? IDBKeyRange.bound(Number.isFinite(since) ? since : 0, Number.isFinite(until) ? until : Infinity)
+                : null;
+            const events = [];
+
+            await this.transaction('readonly', store => {
+                store.index('timestamp').openCursor(range, 'prev').onsuccess = ({ target }) => {
+                    const cursor = target.result;
+                    if (!cursor || events.length >= max) return;
+
+                    const event = cursor.value;
+                    if ((!videoId || event.videoId === videoId) &&
+                        (!site || event.site === site) &&
+                        (!type || event.type === type)) {
+                        events.push(event);
+                    }
+                    cursor.continue();
+                };
+            });
+            return events;
+        },
+
+        /**
+         * Returns every logged event, oldest first.
+         * @returns {Promise<Object[]>} The events.
+         */
+        async all() {
+            const request = await this.transaction('readonly', store => store.index('timestamp').getAll());
+            return request.result;
+        },
+
+        /**
+         * Stores events that have already been sanitized, in one transaction.
+         * @param {Object[]} records - The events, without ids.
+         * @returns {Promise<void>}
+         */
+        async addMany(records) {
+            await this.transaction('readwrite', store => {
+                records.forEach(record => store.add(record));
+            });
+            await this.prune();
+        },
+
+        /**
+         * Deletes every logged event.
+         * @returns {Promise<void>}
+         */
+        async clear() {
+            await this.transaction('readwrite', store => store.clear());
         }
+    };
+
+    // Detection statistics. Content scripts report each detection, the counts
+    // are kept here by site, by day and by tab, and written to
+    // chrome.storage.local shortly after so a burst of detections costs one write.
+    const statsManager = {
+        storageKey: 'stats',
+        flushDelay: 1000, // Miliseconds, short enough to finish before an idle worker is stopped
+        maxDays: 90,
+        broadcastDelay: 1000, // Miliseconds between statsUpdate notifications
+        totals: null,
+        sites: {},
+        days: {},
+        tabs: new Map(), // Counts of open tabs, not stored since tab ids change between sessions
+        dirty: false,
+        flushTimer: null,
+        broadcastTimer: null,
+        loadPromise: null,
+
+        /**
+         * @returns {{flashCount: number, redFlashCount: number, lastDetection: string|null}} Zero counts.
+         */
+        emptyCounts() {
+            return { flashCount: 0, redFlashCount: 0, lastDetection: null };
+        },
+
+        /**
+         * Loads the stored counts once. Counts kept in chrome.storage.sync by
+         * earlier versions are moved over on first load.
+         * @returns {Promise<void>}
+         */
+        load() {
+            if (!this.loadPromise) {
+                this.loadPromise = (async () => {
+                    const { [this.storageKey]: stored } = await chrome.storage.local.get(this.storageKey);
+                    if (stored) {
+                        this.restore(stored);
+                    } else {
+                        const legacy = await chrome.storage.sync.get('stats');
+                        this.restore({ totals: this.normalize(legacy.stats).totals });
+                        this.dirty = Boolean(legacy.stats);
+                        this.scheduleFlush();
+                    }
+                    await chrome.storage.sync.remove(['stats', 'globalStats']);
+                })().catch(error => {
+                    console.error('Stats load failed:', error);
+                    this.totals = this.totals || this.emptyCounts();
+                });
+            }
+            return this.loadPromise;
+        },
 
-        state.globalStats = {
-            ...state.globalStats,
-            ...stats,
-            lastUpdate: now
-        };
-
-        storageManager.enqueue({ globalStats: state.globalStats })
-            .then(() => {
-                lastStorageUpdate = now;
-            })
-            .catch(async error => {
-                console.error('Stats update failed:', error);
-                await settingsManager.recoverSettings();
+        /**
+         * Replaces the counts in memory.
+         * @param {{totals: Object, sites: Object, days: Object}} stored - Counts as flushed.
+         */
+        restore({ totals, sites, days }) {
+            this.totals = { ...this.emptyCounts(), ...totals };
+            this.sites = { ...sites };
+            this.days = { ...days };
+        },
+
+        /**
+         * Checks counts from storage or an import and keeps only known fields.
+         * @param {Object} [stats] - Totals, optionally with sites and days.
+         * @returns {{totals: Object, sites: Object, days: Object}} The counts.
+         */
+        normalize(stats) {
+            const counts = value => ({
+                flashCount: Number.isInteger(value?.flashCount) && value.flashCount > 0 ? value.flashCount : 0,
+                redFlashCount: Number.isInteger(value?.redFlashCount) && value.redFlashCount > 0 ? value.redFlashCount : 0,
+                lastDetection: typeof value?.lastDetection === 'string' && !isNaN(Date.parse(value.lastDetection))
+                    ? value.lastDetection
+                    : null
             });
+            const byKey = (entries, isKey) => Object.fromEntries(Object.entries(entries || {})
+                .filter(([key]) => isKey(key))
+                .map(([key, value]) => [key, counts(value)]));
+
+            return {
+                totals: counts(stats),
+                sites: byKey(stats?.sites, key => key.length > 0 && key.length <= 253),
+                days: byKey(stats?.days, key => /^\d{4}-\d{2}-\d{2}$/.test(key))
+            };
+        },
+
+        /**
+         * Adds one detection to counts.
+         * @param {Object} [counts] - The counts, created when missing.
+         * @param {string} type - 'luminance' or 'red'.
+         * @param {string} timestamp - ISO time of the detection.
+         * @returns {Object} The counts.
+         */
+        count(counts = this.emptyCounts(), type, timestamp) {
+            if (type === 'red') {
+                counts.redFlashCount++;
+            } else {
+                counts.flashCount++;
+            }
+            counts.lastDetection = timestamp;
+            return counts;
+        },
+
+        /**
+         * Adds two sets of counts.
+         * @param {Object} [a] - Counts.
+         * @param {Object} [b] - Counts.
+         * @returns {Object} The sums, with the later last detection.
+         */
+        add(a = this.emptyCounts(), b = this.emptyCounts()) {
+            return {
+                flashCount: a.flashCount + b.flashCount,
+                redFlashCount: a.redFlashCount + b.redFlashCount,
+                lastDetection: [a.lastDetection, b.lastDetection].filter(Boolean).sort().pop() || null
+            };
+        },
+
+        /**
+         * @param {Date} date - A time.
+         * @returns {string} The local day, e.g. '2024-05-01'.
+         */
+        dayOf(date) {
+            const pad = value => String(value).padStart(2, '0');
+            return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+        },
+
+        /**
+         * Counts a detection reported by a content script.
+         * @param {string} flashType - 'luminance' or 'red'.
+         * @param {chrome.runtime.MessageSender} sender - The reporting content script.
+         * @returns {Promise<void>}
+         */
+        async record(flashType, sender) {
+            await this.load();
+            const now = new Date();
+            const timestamp = now.toISOString();
+            const type = flashType === 'red' ? 'red' : 'luminance';
 
-        if (shouldBroadcast) {
-            broadcastToAllTabs({ type: 'statsUpdate', stats: state.globalStats });
+            this.count(this.totals, type, timestamp);
+            const day = this.dayOf(now);
+            this.days[day] = this.count(this.days[day], type, timestamp);
+
+            // Counted under the site the tab shows, also for players embedded from elsewhere
+            let site = null;
+            try {
+                site = flashWarnings.siteOf(new URL(sender.tab?.url || sender.url).hostname) || null;
+            } catch (error) {
+                // Count the detection without a site
+            }
+            if (site) {
+                this.sites[site] = this.count(this.sites[site], type, timestamp);
+            }
+            const tabId = sender.tab?.id;
+            if (tabId !== undefined) {
+                this.tabs.set(tabId, this.count(this.tabs.get(tabId), type, timestamp));
+                tabStatus.changed(tabId);
+            }
+
+            this.dirty = true;
+            this.scheduleFlush();
+            this.scheduleBroadcast();
+        },
+
+        /**
+         * Builds the view of the statistics the popup shows.
+         * @param {number} [tabId] - Tab whose counts are included as tab.
+         * @returns {Promise<Object>} Totals, with today, tab, sites and days.
+         */
+        async read(tabId) {
+            await this.load();
+            const detections = counts => counts.flashCount + counts.redFlashCount;
+            return {
+                ...this.totals,
+                today: { ...this.emptyCounts(), ...this.days[this.dayOf(new Date())] },
+                tab: { ...this.emptyCounts(), ...this.tabs.get(tabId) },
+                sites: Object.entries(this.sites)
+                    .map(([site, counts]) => ({ site, ...counts }))
+                    .sort((a, b) => detections(b) - detections(a)),
+                days: Object.entries(this.days)
+                    .map(([day, counts]) => ({ day, ...counts }))
+                    .sort((a, b) => a.day.localeCompare(b.day)),
+                timestamp: Date.now()
+            };
+        },
+
+        /**
+         * Returns the stored form of the counts, as exported.
+         * @returns {Promise<Object>} Totals with sites and days.
+         */
+        async snapshot() {
+            await this.load();
+            return { ...this.totals, sites: { ...this.sites }, days: { ...this.days } };
+        },
+
+        /**
+         * Imports counts, replacing or adding to the current ones.
+         * @param {Object|null} stats - Counts as exported, null to start from zero.
+         * @param {string} mode - 'merge' or 'replace'.
+         * @returns {Promise<void>}
+         */
+        async import(stats, mode) {
+            await this.load();
+            const imported = this.normalize(stats);
+            if (mode === 'replace') {
+                this.restore(imported);
+                this.tabs.clear();
+                sessionState.save();
+            } else {
+                this.totals = this.add(this.totals, imported.totals);
+                Object.entries(imported.sites).forEach(([site, counts]) => {
+                    this.sites[site] = this.add(this.sites[site], counts);
+                });
+                Object.entries(imported.days).forEach(([day, counts]) => {
+                    this.days[day] = this.add(this.days[day], counts);
+                });
+            }
+            this.dirty = true;
+            await this.flush();
+            this.scheduleBroadcast();
+        },
+
+        /**
+         * Clears every count, in memory and in storage.
+         * @returns {Promise<void>}
+         */
+        async reset() {
+            await this.load();
+            const tabIds = [...this.tabs.keys()];
+            this.restore({});
+            this.tabs.clear();
+            this.dirty = false;
+            await chrome.storage.local.remove(this.storageKey);
+            tabIds.forEach(tabId => tabStatus.changed(tabId));
+            this.scheduleBroadcast();
+        },
+
+        /**
+         * Makes sure a flush is pending.
+         */
+        scheduleFlush() {
+            if (this.flushTimer || !this.dirty) return;
+            this.flushTimer = setTimeout(() => this.flush(), this.flushDelay);
+        },
+
+        /**
+         * Writes the counts to chrome.storage.local if they changed, dropping days past maxDays.
+         * @returns {Promise<void>}
+         */
+        async flush() {
+            clearTimeout(this.flushTimer);
+            this.flushTimer = null;
+            if (!this.dirty) return;
+            this.dirty = false;
+
+            const cutoff = new Date();
+            cutoff.setDate(cutoff.getDate() - this.maxDays);
+            const oldestDay = this.dayOf(cutoff);
+            Object.keys(this.days).filter(day => day < oldestDay).forEach(day => {
+                delete this.days[day];
+            });
+
+            try {
+                await chrome.storage.local.set({
+                    [this.storageKey]: { totals: this.totals, sites: this.sites, days: this.days }
+                });
+            } catch (error) {
+                console.error('Stats flush failed:', error);
+                this.dirty = true;
+                this.scheduleFlush();
+            }
+        },
+
+        /**
+         * Tells open extension pages that the statistics changed, at most once per broadcastDelay.
+         * They read the new counts with statsRequest.
+         */
+        scheduleBroadcast() {
+            if (this.broadcastTimer) return;
+            this.broadcastTimer = setTimeout(() => {
+                this.broadcastTimer = null;
+                broadcastToPages('statsUpdate', {});
+            }, this.broadcastDelay);
         }
-    }
+    };
 
-    /**
-     * Handles the connection of a tab by adding it to the active connections and protected tabs.
-     * @param {number} tabId - The ID of the tab to handle.
-     */
-    function handleConnection(tabId) {
-        if (tabId) {
-            state.connections.set(tabId, true);
-            state.activeTabsProtected.add(tabId);
+    // Protection status of each tab, combined from the reports of its frames
+    // and shown on the toolbar icon
+    const tabStatus = {
+        tabs: new Map(), // tabId → Map of frameId → { videos, blocked, mitigating, disabled }
+        badgeColors: Object.freeze({
+            disabled: '#7f8c8d',
+            protecting: '#2ecc71',
+            blocked: '#e67e22',
+            mitigating: '#e74c3c'
+        }),
+        patterns: null,
+
+        /**
+         * Checks whether the content scripts run on a page.
+         * @param {string} [url] - The page URL.
+         * @returns {boolean} True for pages matched by the manifest's content scripts.
+         */
+        isSupported(url) {
+            if (!this.patterns) {
+                // '*://*.youtube.com/*' matches http and https on youtube.com and its subdomains
+                this.patterns = chrome.runtime.getManifest().content_scripts
+                    .flatMap(script => script.matches)
+                    .map(match => {
+                        const [, host] = match.match(/^[^:]+:\/\/([^/]+)\//) || [];
+                        const domain = (host || '').replace(/^\*\./, '').replace(/[.]/g, '\\.');
+                        return new RegExp(`^https?://([^/]*\\.)?${domain}(:\\d+)?/`);
+                    });
+            }
+            return typeof url === 'string' && this.patterns.some(pattern => pattern.test(url));
+        },
+
+        /**
+         * Stores the status a frame reported.
+         * @param {chrome.runtime.MessageSender} sender - The reporting content script.
+         * @param {Object} status - See FlashProtector.getFrameStatus.
+         */
+        update(sender, status) {
+            const tabId = sender.tab?.id;
+            if (tabId === undefined || !status || typeof status !== 'object') return;
+
+            const count = value => (Number.isInteger(value) && value > 0 ? value : 0);
+            const frames = this.tabs.get(tabId) || new Map();
+            frames.set(sender.frameId ?? 0, {
+                videos: count(status.videos),
+                blocked: Array.isArray(status.blocked)
+                    ? status.blocked.filter(reason => ['tainted', 'drm'].includes(reason))
+                    : [],
+                mitigating: count(status.mitigating),
+                disabled: status.disabled === true
+            });
+            this.tabs.set(tabId, frames);
+            this.changed(tabId);
+        },
+
+        /**
+         * Forgets a frame that navigated or unloaded.
+         * @param {number} tabId - The tab.
+         * @param {number} frameId - The frame.
+         */
+        clearFrame(tabId, frameId) {
+            if (this.tabs.get(tabId)?.delete(frameId)) {
+                this.changed(tabId);
+            }
+        },
+
+        /**
+         * Forgets every frame of a tab and its counts, when a new page loads in it.
+         * @param {number} tabId - The tab.
+         */
+        clearTab(tabId) {
+            this.tabs.delete(tabId);
+            statsManager.tabs.delete(tabId);
+            this.changed(tabId);
+        },
+
+        /**
+         * Combines the frames of a tab.
+         * @param {number} [tabId] - The tab.
+         * @returns {Promise<Object>} supported, videos, blocked (reasons), mitigating,
+         *          flashCount for the tab and state: 'unsupported', 'disabled' (a site
+         *          rule turned protection off in every frame), 'idle', 'protecting',
+         *          'blocked' (no video can be analyzed) or 'mitigating'.
+         */
+        async describe(tabId) {
+            const tab = tabId === undefined ? null : await chrome.tabs.get(tabId).catch(() => null);
+            const frames = [...(this.tabs.get(tabId)?.values() || [])];
+            const counts = statsManager.tabs.get(tabId);
+            const status = {
+                supported: this.isSupported(tab?.url) || frames.length > 0,
+                videos: frames.reduce((total, frame) => total + frame.videos, 0),
+                blocked: frames.flatMap(frame => frame.blocked),
+                mitigating: frames.reduce((total, frame) => total + frame.mitigating, 0),
+                flashCount: counts ? counts.flashCount + counts.redFlashCount : 0
+            };
+
+            if (!status.supported) {
+                status.state = 'unsupported';
+            } else if (frames.length > 0 && frames.every(frame => frame.disabled)) {
+                status.state = 'disabled';
+            } else if (status.mitigating > 0) {
+                status.state = 'mitigating';
+            } else if (status.videos === 0) {
+                status.state = 'idle';
+            } else if (status.blocked.length === status.videos) {
+                status.state = 'blocked';
+            } else {
+                status.state = 'protecting';
+            }
+            return status;
+        },
+
+        /**
+         * Updates the badge of a tab and tells open extension pages.
+         * @param {number} tabId - The tab.
+         */
+        changed(tabId) {
+            sessionState.save();
+            this.updateBadge(tabId).catch(error => {
+                // The tab may have closed since
+                if (!error.message?.includes('No tab with id')) {
+                    console.error('Badge update failed:', error);
+                }
+            });
+            broadcastToPages('tabStatusUpdate', { tabId });
+        },
+
+        /**
+         * Shows a tab's status on the toolbar icon: the flashes detected in the
+         * tab, or ON while protecting, ! while analysis is blocked and OFF where a
+         * site rule turned protection off, coloured by state. The title carries
+         * the same for screen readers.
+         * @param {number} tabId - The tab.
+         * @returns {Promise<void>}
+         */
+        async updateBadge(tabId) {
+            const status = await this.describe(tabId);
+            let text = '';
+            if (status.flashCount > 0) {
+                text = status.flashCount > 999 ? '999+' : String(status.flashCount);
+            } else if (status.state === 'blocked') {
+                text = '!';
+            } else if (status.state === 'disabled') {
+                text = 'OFF';
+            } else if (status.state === 'protecting' || status.state === 'mitigating') {
+                text = 'ON';
+            }
+
+            const color = ['mitigating', 'blocked', 'disabled'].includes(status.state)
+                ? this.badgeColors[status.state]
+                : this.badgeColors.protecting;
+            const plural = (count, one, many = `${one}s`) => `${count} ${count === 1 ? one : many}`;
+            const details = {
+                unsupported: 'Not active on this site',
+                disabled: 'Turned off on this site',
+                idle: 'No video on this page',
+                protecting: `Protecting ${plural(status.videos, 'video')}`,
+                blocked: 'Flashes cannot be detected in this video',
+                mitigating: 'Flashing mitigated now'
+            };
+
+            await chrome.action.setBadgeText({ tabId, text });
+            await chrome.action.setBadgeBackgroundColor({ tabId, color });
+            await chrome.action.setTitle({
+                tabId,
+                title: `Epilepsy Flash Protection: ${details[status.state]}` +
+                    (status.flashCount > 0 ? `, ${plural(status.flashCount, 'flash', 'flashes')} detected` : '')
+            });
         }
-    }
+    };
 
-    /**
-     * Broadcasts a message to all active tabs.
-     * This function iterates over all active connections and sends the provided message to each tab.
-     * If a tab fails to receive the message, it is removed from the active connections and protected tabs.
-     * @param {Object} message - The message to broadcast.
-     */
-    async function broadcastToAllTabs(message) {
-        const activeConnections = new Map(state.connections);
-        for (const [tabId] of activeConnections) {
-            try {
-                // Check if tab exists before sending
-                const tab = await chrome.tabs.get(tabId).catch(() => null);
-                if (tab && tab.status === 'complete') {
-                    await chrome.tabs.sendMessage(tabId, message).catch(error => {
-                        // Only log non-connection errors
-                        if (!error.message.includes('Receiving end does not exist')) {
-                            console.error(`Failed to send message to tab ${tabId}:`, error);
+    // Runtime state kept in chrome.storage.session. The browser stops the
+    // service worker when idle and starts a new one on the next event, which
+    // would otherwise forget every tab. Ports cannot be stored, so the new
+    // worker pings the tabs it knew and their frames connect again.
+    const sessionState = {
+        storageKey: 'workerState',
+        saveDelay: 500, // Miliseconds of changes written together
+        saveTimer: null,
+        restorePromise: null,
+
+        /**
+         * Writes the runtime state soon, batching changes made meanwhile.
+         */
+        save() {
+            if (this.saveTimer) return;
+            this.saveTimer = setTimeout(() => {
+                this.saveTimer = null;
+                chrome.storage.session.set({
+                    [this.storageKey]: {
+                        activeTabsProtected: [...state.activeTabsProtected],
+                        tabStatus: [...tabStatus.tabs].map(([tabId, frames]) => [tabId, [...frames]]),
+                        tabCounts: [...statsManager.tabs]
+                    }
+                }).catch(error => console.error('Session state not saved:', error));
+            }, this.saveDelay);
+        },
+
+        /**
+         * Restores the state of the previous service worker once. Entries that
+         * arrived since the start are kept over restored ones.
+         * @returns {Promise<void>}
+         */
+        restore() {
+            if (!this.restorePromise) {
+                this.restorePromise = (async () => {
+                    const { [this.storageKey]: stored } = await chrome.storage.session.get(this.storageKey);
+                    if (!stored) return;
+
+                    stored.activeTabsProtected.forEach(tabId => state.activeTabsProtected.add(tabId));
+                    stored.tabStatus.forEach(([tabId, frames]) => {
+                        if (!tabStatus.tabs.has(tabId)) {
+                            tabStatus.tabs.set(tabId, new Map(frames));
                         }
-                        state.connections.delete(tabId);
-                        state.activeTabsProtected.delete(tabId);
                     });
+                    stored.tabCounts.forEach(([tabId, counts]) => {
+                        statsManager.tabs.set(tabId, statsManager.add(counts, statsManager.tabs.get(tabId)));
+                    });
+                })().catch(error => console.error('Session state not restored:', error));
+            }
+            return this.restorePromise;
+        },
+
+        /**
+         * Pings every tab that was protected or shows a supported site, so its
+         * frames connect again and report their status. Tabs without a content
+         * script that answers are forgotten.
+         * @returns {Promise<void>}
+         */
+        async rediscover() {
+            await this.restore();
+            const tabs = await chrome.tabs.query({});
+            await Promise.all(tabs.map(async tab => {
+                const known = state.activeTabsProtected.has(tab.id) || tabStatus.tabs.has(tab.id);
+                if (!known && !tabStatus.isSupported(tab.url)) return;
+
+                if (!await Protocol.ping(tab.id) && known) {
+                    state.activeTabsProtected.delete(tab.id);
+                    tabStatus.clearTab(tab.id);
+                }
+            }));
+
+            // Tabs closed while no worker was running
+            const open = new Set(tabs.map(tab => tab.id));
+            [...state.activeTabsProtected].filter(tabId => !open.has(tabId)).forEach(tabId => {
+                state.activeTabsProtected.delete(tabId);
+            });
+            [...tabStatus.tabs.keys(), ...statsManager.tabs.keys()].filter(tabId => !open.has(tabId)).forEach(tabId => {
+                tabStatus.tabs.delete(tabId);
+                statsManager.tabs.delete(tabId);
+            });
+            this.save();
+        }
+    };
+
+    // Flash warning manifests: known flashing segments by site and video ID,
+    // stored in chrome.storage.local as { 'site/videoId': [segments] }
+    const flashWarnings = {
+        mergeGap: 1, // Seconds between segments that are joined
+
+        /**
+         * Reduces a host name to the site part used in warning keys.
+         * @param {string} hostname - e.g. 'www.youtube.com'.
+         * @returns {string} e.g. 'youtube.com'.
+         */
+        siteOf(hostname) {
+            return String(hostname || '').toLowerCase().replace(/^(www|m)\./, '');
+        },
+
+        /**
+         * Rates a peak flash rate the way the timeline markers do.
+         * @param {number} flashes - Flashes per second.
+         * @returns {string} 'moderate', 'high' or 'severe'.
+         */
+        severityOf(flashes) {
+            if (flashes >= 10) return 'severe';
+            if (flashes >= 6) return 'high';
+            return 'moderate';
+        },
+
+        /**
+         * Sorts segments and joins those that overlap or nearly touch, keeping the worse rating.
+         * @param {Object[]} segments - Segments with start and end in seconds.
+         * @returns {Object[]} The merged segments.
+         */
+        mergeSegments(segments) {
+            const rank = severity => WARNING_SEVERITIES.indexOf(severity);
+            return [...segments].sort((a, b) => a.start - b.start).reduce((merged, segment) => {
+                const last = merged[merged.length - 1];
+                if (last && segment.start <= last.end + this.mergeGap) {
+                    last.end = Math.max(last.end, segment.end);
+                    last.severity = rank(segment.severity) > rank(last.severity) ? segment.severity : last.severity;
+                    last.type = last.type === 'red' || segment.type === 'red' ? 'red' : 'luminance';
                 } else {
-                    state.connections.delete(tabId);
-                    state.activeTabsProtected.delete(tabId);
+                    merged.push({ ...segment });
+                }
+                return merged;
+            }, []);
+        },
+
+        /**
+         * Checks a warnings manifest and returns its segments by storage key.
+         * @param {Object} manifest - The parsed manifest.
+         * @returns {Object.<string, Object[]>} Segments by 'site/videoId'.
+         * @throws {Error} - Throws an error describing the first problem found.
+         */
+        parse(manifest) {
+            if (!manifest || manifest.format !== WARNINGS_FORMAT || !Array.isArray(manifest.videos)) {
+                throw new Error('Not a flash warnings file');
+            }
+            if (!Number.isInteger(manifest.version) || manifest.version > WARNINGS_VERSION) {
+                throw new Error(`Unsupported warnings version ${manifest.version}`);
+            }
+
+            const warnings = {};
+            manifest.videos.forEach((video, i) => {
+                if (typeof video?.site !== 'string' || typeof video.videoId !== 'string' ||
+                    !video.videoId || !Array.isArray(video.segments)) {
+                    throw new Error(`Video ${i + 1} needs a site, a videoId and segments`);
+                }
+                const segments = video.segments.map((segment, j) => {
+                    const { start, end, severity = 'high', type = 'luminance' } = segment || {};
+                    if (!Number.isFinite(start) || !Number.isFinite(end) || start < 0 || end <= start ||
+                        !WARNING_SEVERITIES.includes(severity) || !['luminance', 'red'].includes(type)) {
+                        throw new Error(`Segment ${j + 1} of video ${i + 1} is not valid`);
+                    }
+                    return { start, end, severity, type };
+                });
+                const key = `${this.siteOf(video.site)}/${video.videoId.slice(0, 256)}`;
+                warnings[key] = this.mergeSegments([...(warnings[key] || []), ...segments]);
+            });
+            return warnings;
+        },
+
+        /**
+         * Imports a warnings manifest into storage.
+         * @param {Object} manifest - The parsed manifest.
+         * @param {string} [mode='merge'] - 'merge' adds to stored warnings, 'replace' drops them first.
+         * @returns {Promise<{videos: number, segments: number}>} What the manifest contained.
+         */
+        async import(manifest, mode = 'merge') {
+            const imported = this.parse(manifest);
+            const { flashWarnings: stored = {} } = mode === 'replace'
+                ? {}
+                : await chrome.storage.local.get('flashWarnings');
+
+            Object.entries(imported).forEach(([key, segments]) => {
+                stored[key] = this.mergeSegments([...(stored[key] || []), ...segments]);
+            });
+            await chrome.storage.local.set({ flashWarnings: stored });
+
+            return {
+                videos: Object.keys(imported).length,
+                segments: Object.values(imported).reduce((total, segments) => total + segments.length, 0)
+            };
+        },
+
+        /**
+         * Builds a warnings manifest from the segments the extension detected itself.
+         * @returns {Promise<{filename: string, mimeType: string, content: string}>}
+         */
+        async export() {
+            const videos = new Map();
+            (await eventLog.all()).filter(event => event.videoId && event.site).forEach(event => {
+                const site = this.siteOf(event.site);
+                const key = `${site}/${event.videoId}`;
+                if (!videos.has(key)) {
+                    videos.set(key, { site, videoId: event.videoId, segments: [] });
+                }
+                if (!Number.isFinite(event.mediaTime)) return;
+                const start = Math.max(0, Math.min(event.startTime ?? event.mediaTime, event.mediaTime));
+                videos.get(key).segments.push({
+                    start,
+                    end: Math.max(event.mediaTime, start + 0.5),
+                    severity: this.severityOf(event.metrics?.flashes || 0),
+                    type: event.type
+                });
+            });
+
+            const manifest = {
+                format: WARNINGS_FORMAT,
+                version: WARNINGS_VERSION,
+                exportedAt: new Date().toISOString(),
+                videos: [...videos.values()]
+                    .filter(video => video.segments.length > 0)
+                    .map(video => ({ ...video, segments: this.mergeSegments(video.segments) }))
+            };
+            return {
+                filename: `flash-warnings-${manifest.exportedAt.slice(0, 10)}.json`,
+                mimeType: 'application/json',
+                content: JSON.stringify(manifest, null, 2)
+            };
+        }
+    };
+
+    // Export and import of settings and detection history
+    const dataTransfer = {
+        csvColumns: ['timestamp', 'site', 'pageUrl', 'videoId', 'mediaTime', 'startTime', 'type', 'source',
+            'flashes', 'area', 'screenShare', 'mitigationMode', 'mitigationStrength'],
+
+        /**
+         * Builds an export of the settings and history.
+         * @param {string} format - 'json' for the full bundle, 'csv' for the event list.
+         * @returns {Promise<{filename: string, mimeType: string, content: string}>}
+         */
+        async export(format) {
+            const date = new Date().toISOString().slice(0, 10);
+            const events = await eventLog.all();
+
+            if (format === 'csv') {
+                return {
+                    filename: `flash-events-${date}.csv`,
+                    mimeType: 'text/csv',
+                    content: this.toCsv(events)
+                };
+            }
+
+            const settings = await Settings.load();
+            const bundle = {
+                format: EXPORT_FORMAT,
+                version: EXPORT_VERSION,
+                exportedAt: new Date().toISOString(),
+                settings,
+                history: {
+                    stats: await statsManager.snapshot(),
+                    events: events.map(({ id, tabId, ...event }) => event)
+                }
+            };
+            return {
+                filename: `flash-protection-${date}.json`,
+                mimeType: 'application/json',
+                content: JSON.stringify(bundle, null, 2)
+            };
+        },
+
+        /**
+         * Writes events as CSV, one row per event.
+         * @param {Object[]} events - Events from the event log.
+         * @returns {string} The CSV text.
+         */
+        toCsv(events) {
+            const cell = value => {
+                if (value === null || value === undefined) return '';
+                let text = String(value);
+                // Keep spreadsheets from running text from web pages as formulas
+                if (typeof value === 'string' && /^[=+\-@]/.test(text)) {
+                    text = `'${text}`;
                 }
+                return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+            };
+            const rows = events.map(event => [
+                new Date(event.timestamp).toISOString(),
+                event.site,
+                event.pageUrl,
+                event.videoId,
+                event.mediaTime,
+                event.startTime,
+                event.type,
+                event.source,
+                event.metrics?.flashes,
+                event.metrics?.area,
+                event.metrics?.screenShare,
+                event.mitigation?.mode,
+                event.mitigation?.strength
+            ].map(cell).join(','));
+            return [this.csvColumns.join(','), ...rows].join('\r\n');
+        },
+
+        /**
+         * Checks an imported bundle and returns its contents in stored form.
+         * @param {Object} bundle - The parsed JSON bundle.
+         * @returns {{settings: Object, stats: Object|null, events: Object[]}}
+         * @throws {Error} - Throws an error describing the first problem found.
+         */
+        parse(bundle) {
+            if (!bundle || typeof bundle !== 'object' || bundle.format !== EXPORT_FORMAT) {
+                throw new Error('Not a Flash Protection export');
+            }
+            if (!Number.isInteger(bundle.version) || bundle.version > EXPORT_VERSION) {
+                throw new Error(`Unsupported export version ${bundle.version}`);
+            }
+
+            // Bundles exported before the settings were versioned are upgraded first
+            const settings = {};
+            try {
+                const migrated = Settings.migrate(bundle.settings || {});
+                SETTINGS_KEYS.filter(key => key in migrated).forEach(key => {
+                    settings[key] = migrated[key];
+                });
+                Settings.validate(settings);
             } catch (error) {
-                // Handle any other errors
-                console.error(`Error processing tab ${tabId}:`, error);
-                state.connections.delete(tabId);
-                state.activeTabsProtected.delete(tabId);
+                throw new Error(`The exported settings are not valid: ${error.message}`);
+            }
+
+            const stats = bundle.history?.stats;
+            if (stats && (!Number.isInteger(stats.flashCount) || stats.flashCount < 0 ||
+                (stats.sites !== undefined && typeof stats.sites !== 'object') ||
+                (stats.days !== undefined && typeof stats.days !== 'object'))) {
+                throw new Error('The exported statistics are not valid');
+            }
+
+            const events = bundle.history?.events || [];
+            if (!Array.isArray(events)) {
+                throw new Error('The exported events are not valid');
+            }
+            return {
+                settings,
+                stats: stats || null,
+                events: events.map(event => eventLog.sanitize(event, {}))
+            };
+        },
+
+        /**
+         * Identifies an event, so merging does not add events twice.
+         * @param {Object} event - The event.
+         * @returns {string} The identity.
+         */
+        eventKey(event) {
+            return [event.timestamp, event.pageUrl, event.mediaTime, event.type].join('|');
+        },
+
+        /**
+         * Describes what importing a bundle would change, without changing anything.
+         * @param {Object} bundle - The parsed JSON bundle.
+         * @param {string} mode - 'merge' keeps existing data not in the bundle, 'replace' removes it.
+         * @returns {Promise<Object>} Settings changes by key, and event and statistics counts.
+         */
+        async preview(bundle, mode) {
+            const { settings, stats, events } = this.parse(bundle);
+            const current = await chrome.storage.sync.get(SETTINGS_KEYS);
+            const existing = await eventLog.all();
+
+            const settingsChanges = SETTINGS_KEYS.filter(key => key !== 'settingsVersion').map(key => {
+                if (key in settings) {
+                    if (!(key in current)) return { key, change: 'added' };
+                    return JSON.stringify(current[key]) === JSON.stringify(settings[key])
+                        ? null
+                        : { key, change: 'changed' };
+                }
+                return mode === 'replace' && key in current ? { key, change: 'reset' } : null;
+            }).filter(Boolean);
+
+            if (mode === 'replace') {
+                return {
+                    mode,
+                    settings: settingsChanges,
+                    events: { added: events.length, removed: existing.length, duplicates: 0 },
+                    stats: stats ? 'replaced' : 'reset'
+                };
+            }
+
+            const known = new Set(existing.map(event => this.eventKey(event)));
+            const added = events.filter(event => !known.has(this.eventKey(event))).length;
+            return {
+                mode,
+                settings: settingsChanges,
+                events: { added, removed: 0, duplicates: events.length - added },
+                stats: stats ? 'added' : 'unchanged'
+            };
+        },
+
+        /**
+         * Imports a bundle, merging it with or replacing the existing data.
+         * @param {Object} bundle - The parsed JSON bundle.
+         * @param {string} mode - 'merge' or 'replace', see preview.
+         * @returns {Promise<void>}
+         */
+        async apply(bundle, mode) {
+            const { settings, stats, events } = this.parse(bundle);
+
+            if (mode === 'replace') {
+                // Keys the bundle lacks are reset to their defaults in the same write, so a
+                // failed write leaves the current settings as they were
+                const defaults = Settings.defaults();
+                await storageManager.enqueue({
+                    ...Object.fromEntries(SETTINGS_KEYS.map(key => [key, defaults[key]])),
+                    ...settings
+                });
+                await statsManager.import(stats, mode);
+                await eventLog.clear();
+                await eventLog.addMany(events);
+                return;
+            }
+
+            if (Object.keys(settings).length > 0) {
+                await storageManager.enqueue(settings);
+            }
+            if (stats) {
+                await statsManager.import(stats, mode);
             }
+
+            const known = new Set((await eventLog.all()).map(event => this.eventKey(event)));
+            await eventLog.addMany(events.filter(event => !known.has(this.eventKey(event))));
         }
+    };
+
+    /**
+     * Sends a notification to the content scripts of every connected frame.
+     * @param {string} type - The message type, see Protocol.MESSAGES.
+     * @param {Object} payload - The message fields.
+     */
+    function broadcastToFrames(type, payload) {
+        state.connections.forEach((endpoint, key) => {
+            try {
+                Protocol.notify(endpoint, type, payload);
+            } catch (error) {
+                console.error(`Failed to notify frame ${key}:`, error);
+            }
+        });
+    }
+
+    /**
+     * Sends a notification to every open extension page, such as the popup.
+     * @param {string} type - The message type, see Protocol.MESSAGES.
+     * @param {Object} payload - The message fields.
+     */
+    function broadcastToPages(type, payload) {
+        state.pages.forEach(endpoint => {
+            try {
+                Protocol.notify(endpoint, type, payload);
+            } catch (error) {
+                console.error('Failed to notify extension page:', error);
+            }
+        });
     }
 
-    // Initialize state from storage
-    chrome.storage.sync.get(['globalStats'], (result) => {
-        if (result.globalStats) {
-            state.globalStats = result.globalStats;
+    chrome.commands.onCommand.addListener(command => {
+        if (command === 'next-profile') {
+            settingsManager.nextProfile().catch(error => console.error('Profile switch failed:', error));
         }
     });
+
+    statsManager.load();
+    Settings.upgrade().catch(error => console.error('Settings upgrade failed:', error));
+    sessionState.rediscover().catch(error => console.error('Tab rediscovery failed:', error));
 })();
\ No newline at end of file
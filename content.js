@@ -1,4 +1,62 @@
 'use strict';
+/**
+ * Flash rules for each sensitivity level of the popup slider, following the
+ * WCAG 2.3.1 / ITU-R BT.1702 general flash threshold. A flash is a pair of
+ * opposing luminance transitions of at least `luminanceDelta`, mitigation
+ * starts once more than `maxFlashesPerSecond` flashes fall within one second.
+ * Red flashes are counted the same way on the saturated red share of the
+ * frame, using `redDelta` as the minimum transition.
+ * @type {Object.<number, {maxFlashesPerSecond: number, luminanceDelta: number, redDelta: number}>}
+ */
+const SENSITIVITY_RULES = Object.freeze({
+    1: Object.freeze({ maxFlashesPerSecond: 3, luminanceDelta: 0.20, redDelta: 0.25 }),
+    2: Object.freeze({ maxFlashesPerSecond: 3, luminanceDelta: 0.15, redDelta: 0.20 }),
+    3: Object.freeze({ maxFlashesPerSecond: 3, luminanceDelta: 0.10, redDelta: 0.15 }), // WCAG general flash threshold
+    4: Object.freeze({ maxFlashesPerSecond: 2, luminanceDelta: 0.08, redDelta: 0.10 }),
+    5: Object.freeze({ maxFlashesPerSecond: 1, luminanceDelta: 0.05, redDelta: 0.05 })
+});
+
+/**
+ * WCAG limits the combined flashing area to 25% of a 10 degree visual field,
+ * approximated as 341 x 256 pixels of a 1024 x 768 screen at typical viewing distance
+ */
+const WCAG_FLASH_AREA = 0.25 * (341 * 256) / (1024 * 768);
+
+/**
+ * Mitigation strategies selectable in the popup. `filter` builds the CSS filter
+ * applied to the video for a strength between 0 and 1 (config.overlayOpacity),
+ * `label` describes the result in announcements. Frame blending averages
+ * successive frames on an overlay canvas, see applyMitigation. Pausing stops
+ * playback and asks how to continue, see pauseForFlashing.
+ * @type {Object.<string, {label: string, filter: function(number): string}>}
+ */
+const MITIGATION_MODES = Object.freeze({
+    blackout: Object.freeze({ label: 'Screen darkened', filter: () => 'brightness(0)' }),
+    dim: Object.freeze({ label: 'Video dimmed', filter: strength => `brightness(${1 - strength})` }),
+    contrast: Object.freeze({ label: 'Contrast reduced', filter: strength => `contrast(${1 - strength})` }),
+    grayscale: Object.freeze({ label: 'Colours removed', filter: strength => `grayscale(1) contrast(${1 - strength / 2})` }),
+    blur: Object.freeze({ label: 'Video blurred', filter: strength => `blur(${Math.round(strength * 20)}px)` }),
+    soften: Object.freeze({
+        label: 'Video dimmed and blurred',
+        filter: strength => `brightness(${1 - strength / 2}) blur(${Math.round(strength * 10)}px)`
+    }),
+    blend: Object.freeze({ label: 'Frames blended', filter: () => 'none' }),
+    pause: Object.freeze({ label: 'Video paused', filter: () => 'brightness(0)' })
+});
+
+/**
+ * States of the per-video mitigation state machine:
+ * idle -> mitigating (held for a minimum time) -> monitoring (until the stream
+ * has been quiet for config.quietPeriod) -> releasing (fading out) -> idle.
+ * A new detection in any state returns to mitigating.
+ */
+const MITIGATION_STATES = Object.freeze({
+    IDLE: 'idle',
+    MITIGATING: 'mitigating',
+    MONITORING: 'monitoring',
+    RELEASING: 'releasing'
+});
+
 /**
  * @description FlashProtector configuration and state management 
  */
@@ -7,133 +65,120 @@ const FlashProtector = {
      * Configuration settings for FlashProtector
      * @type {Object}
      * @property {number} threshold - The threshold for flash protection
-     * @property {number} frameSampleRate - The rate in which frames are sampled
+     * @property {number} frameSampleRate - The most frames analyzed per second
      * @property {boolean} debugMode - Flag to enable or disable debug mode
-     * @property {number} blackoutDuration - Duration of blackout in miliseconds
+     * @property {number} blackoutDuration - Duration of a manual blackout in miliseconds
+     * @property {number} minMitigationDuration - Minimum time mitigation stays applied after a detection in miliseconds
+     * @property {number} quietPeriod - Time without transitions before mitigation is released in miliseconds
      * @property {number} fadeOutDuration - Duration of fade out in miliseconds
-     * @property {number} overlayOpacity - Opacity of the overlay
+     * @property {number} overlayOpacity - Strength of the mitigation between 0 and 1, e.g. dim to 1 - overlayOpacity
      * @property {number} fadeInDuration - Duration of fade in of blackout in miliseconds
-     * @property {number} storageDebounceTime - Debounce time for storage updates in miliseconds
-     * @property {boolean} protectionEnabled - Flag to enable or disable protection
+     * @property {boolean} protectionEnabled - Flag to enable or disable protection, off where a site rule says so
      * @property {number} protectionLevel - Level of protection
      * @property {number} seekProtectionDuration - Duration of protection after seeking in miliseconds
      * @property {number} seekFadeOutDuration - Duration of fade out after seeking in miliseconds
+     * @property {number} sensitivityLevel - Popup sensitivity level (1-5), selects the SENSITIVITY_RULES entry
+     * @property {number} flashWindow - Sliding window for counting flashes in miliseconds
+     * @property {number} maxDarkLuminance - The darker side of a flash must be below this relative luminance
+     * @property {number} gridColumns - Columns of the analysis grid
+     * @property {number} gridRows - Rows of the analysis grid
+     * @property {number} minFlashArea - Flashing area, as a share of the screen, that triggers protection
+     * @property {boolean} safeRender - Paint frames from a delay buffer so flashing frames are attenuated before display
+     * @property {number} safeRenderDelayFrames - Frames held back in safe render mode
+     * @property {number} audioSyncOffset - Extra audio delay in safe render mode in miliseconds
+     * @property {string} mitigationMode - Key of MITIGATION_MODES applied when flashing is detected
+     * @property {number} rewindDuration - Seconds rewound before the flashing by the pause overlay
+     * @property {number} skipDuration - Seconds skipped past the last detection by the pause overlay when the flashing's end is not known
+     * @property {boolean} lookAhead - Scan ahead of the playhead in a hidden clone and skip known flashing
+     * @property {number} lookAheadSeconds - How far ahead of the playhead the look-ahead scan runs in seconds
+     * @property {boolean} safeStart - Scan the opening seconds of a video hidden and muted before showing it
+     * @property {number} safeStartSeconds - Seconds scanned by safe start
+     * @property {number} safeStartRate - Playback rate of the safe start scan
+     * @property {number} statusReportDelay - Time status changes are batched before reporting in miliseconds
      * 
      */
     config: {
-        threshold: 0.25,
-        frameSampleRate: 30,
-        debugMode: false,
-        blackoutDuration: 5000, // 5 seconds in milliseconds
-        fadeOutDuration: 300,
-        overlayOpacity: 0.8,
-        fadeInDuration: 1,    // Quick fade to black in ms
-        storageDebounceTime: 1000, // 1 second between storage updates
-        protectionEnabled: true,  // Always enabled
+        // Tunables start at their defaults from the settings schema, see setConfig
+        ...Settings.toConfig(Settings.defaults()),
+        protectionEnabled: true,  // Unless a site rule turns it off, see setConfig
         protectionLevel: 5,      // Always maximum protection
-        seekProtectionDuration: 3000, // 3 seconds protection after seeking
-        seekFadeOutDuration: 1000    // 1 second fade out if no flashes detected
+        flashWindow: 1000,           // WCAG counts flashes in any one second
+        maxDarkLuminance: 0.8,       // WCAG: darker image below 0.80 relative luminance
+        gridColumns: 4,
+        gridRows: 4,
+        minFlashArea: WCAG_FLASH_AREA,
+        rewindDuration: 10,
+        skipDuration: 5,
+        safeStartRate: 4,
+        statusReportDelay: 250
     },
     /** 
      * State management for FlashProtector
      * @type {Object}
-     * @property {number} lastBrightness - The last recorded brightness level
-     * @property {number} lastFrameTime - The timestamp of the last processed frame
-     * @property {HTMLCanvasElement} canvas - The canvas element used for processing
-     * @property {CanvasRenderingContext2D|null} context - The 2D context of the Canvas
      * @property {WeakSet<HTMLVideoElement>} activeVideos - Set of active video elements
+     * @property {Map<HTMLVideoElement, Object>} analyzers - Analyzer of each protected video, see createAnalyzer
      * @property {boolean} isIframe - Flag indicating if the script is running in an iframe
-     * @property {WeakMap<HTMLVideoElement>, number} activeTimers - Map of timers for each video element
-     * @property {Object} stats - Statistics related to flash detection
-     * @property {number} stats.flashCount - The count of detected flashes
-     * @property {Date|null} stats.lastDetection - The timestamp of the last detected flash
+     * @property {Worker|null} worker - Analysis worker, null when frames are analyzed on the main thread
+     * @property {Map<number, Object>} workerRequests - Pending worker requests by id
+     * @property {number} workerRequestId - Id of the last worker request
      * @property {HTMLElement|null} announcer - The element used for announcements
-     * @property {number} lastStorageUpdate - The timestamp of the last storage update
-     * @property {Object|null} pendingStats - Pending stats to be updated
+     * @property {number|null} statusTimer - Pending status report, see reportStatus
+     * @property {Object|null} connection - Connection to the service worker, see Protocol.connect
      * @property {number} currentSensitivity - The current sensitivity setting
+     * @property {Object|null} siteRule - The site rule applied to this frame's origin, see Settings.siteRuleFor
      */
     state: {
-        lastBrightness: 0,
-        lastFrameTime: 0,
-        canvas: document.createElement('canvas'),
-        context: null,
         activeVideos: new WeakSet(),
+        analyzers: new Map(),
         isIframe: window !== window.top,
-        activeTimers: new WeakMap(), // Store timers for each video
-        stats: {
-            flashCount: 0,
-            lastDetection: null
-        },
+        worker: null,
+        workerRequests: new Map(),
+        workerRequestId: 0,
         announcer: null,
-        lastStorageUpdate: 0,
-        pendingStats: null,
-        currentSensitivity: 0.25
+        statusTimer: null,
+        connection: null,
+        currentSensitivity: Settings.thresholdFor(Settings.SCHEMA.detection.sensitivity.default),
+        siteRule: null
     },
 
     init() {
         try {
-            // Initialize connection with background script
-            chrome.runtime.sendMessage({ type: 'connect' }, response => {
-                if (response?.success) {
-                    this.debug('Connected to background script');
-                }
+            // Initialize connection with background script, the status is sent again on every reconnect
+            this.state.connection = Protocol.connect('frame', (type, payload) => this.handleMessage(type, payload), () => {
+                this.debug('Connected to background script');
+                this.reportStatus();
             });
 
-            this.state.context = this.state.canvas.getContext('2d', { willReadFrequently: true });
             this.state.isIframe = window !== window.top;
             this.createAnnouncer();
+            this.startAnalysisWorker();
 
-            // Load settings but enforce maximum protection
-            chrome.storage.sync.get({
-                threshold: 0.25,
-                userPreferences: {
-                    lastSensitivity: 3
-                }
-            }, (settings) => {
-                this.config.threshold = 0.5 - (settings.userPreferences.lastSensitivity * 0.08);
-            });
+            // Load settings, with the site rule for this frame's origin applied, before any
+            // video is protected so site rules and safe start apply from the first one
+            Settings.load()
+                .then(settings => this.setConfig(settings))
+                .catch(error => console.error('Flash Protector settings not loaded:', error))
+                .then(() => this.watchVideos());
 
             // Listener for real time updates
             chrome.storage.onChanged.addListener((changes) => {
-                if (changes.threshold) {
-                    this.config.threshold = changes.threshold.newValue;
-                    this.state.currentSensitivity = changes.threshold.newValue;
-                    this.updateActiveBrightness();
-                }
-            });
-
-            // Load and apply saved theme preference
-            chrome.storage.sync.get({
-                userPreferences: {
-                    highContrast: false
-                }
-            }, (result) => {
-                if (result.userPreferences.highContrast) {
-                    document.body.classList.add('high-contrast');
-                }
-            });
-
-            // Listen for theme changes
-            chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
-                if (message.type === 'themeChange') {
-                    document.body.classList.toggle('high-contrast', message.highContrast);
-                    sendResponse({ success: true });
+                const changed = Settings.KEYS.filter(key => key in changes);
+                if (changed.length > 0) {
+                    Settings.load()
+                        .then(settings => {
+                            const previousRule = this.state.siteRule;
+                            this.setConfig(settings, changed);
+                            if (changes.profiles) {
+                                this.announceProfile(settings, changes.profiles.oldValue?.active);
+                            }
+                            if (changes.siteRules) {
+                                this.announceSiteRule(settings, previousRule);
+                            }
+                        })
+                        .catch(error => console.error('Flash Protector settings not loaded:', error));
                 }
-                return true;
-            });
-
-            this.setupMutationObserver();
-            this.protectExistingVideos();
-
-            // YouTube to videos in iframes
-            if (window.location.hostname.includes('youtube.com')) {
-                this.setupYouTubeHandler();
-            }
-
-            // Loads existing stats from videos played or being played
-            chrome.storage.sync.get(['stats'], (result) => {
-                if (result.stats) {
-                    this.state.stats = result.stats;
+                if (changes.flashWarnings) {
+                    this.state.analyzers.forEach(analyzer => this.loadFlashWarnings(analyzer));
                 }
             });
 
@@ -143,16 +188,27 @@ const FlashProtector = {
         }
     },
 
-    applySettings() {
-        if (this.state.activeVideos.size > 0) {
-            this.state.activeVideos.forEach(video => {
-                if (!this.config.protectionEnabled) {
-                    this.resetBrightness(video);
-                }
-            });
+    /**
+     * Protects the page's videos and the ones added later, with the defaults if settings failed to load
+     */
+    watchVideos() {
+        this.setupMutationObserver();
+        this.protectExistingVideos();
+
+        // YouTube to videos in iframes
+        if (window.location.hostname.includes('youtube.com')) {
+            this.setupYouTubeHandler();
         }
     },
 
+    applySettings() {
+        this.state.analyzers.forEach((_analyzer, video) => {
+            if (!this.config.protectionEnabled) {
+                this.resetBrightness(video);
+            }
+        });
+    },
+
     createAnnouncer() {
         this.state.announcer = document.createElement('div');
         this.state.announcer.setAttribute('role', 'alert');
@@ -173,49 +229,99 @@ const FlashProtector = {
         }
     },
 
-    updateStats(flashDetected = false) {
-        if (flashDetected) {
-            this.state.stats.flashCount++;
-            this.state.stats.lastDetection = new Date().toISOString();
+    /**
+     * Handles a message from the background script, see Protocol.MESSAGES
+     * @param {string} type - The message type
+     * @param {Object} payload - The message fields
+     * @returns {*} The answer to requests
+     */
+    handleMessage(type, payload) {
+        switch (type) {
+            case 'settingsUpdated': {
+                // Detection settings arrive through storage.onChanged as well, the theme only here
+                const { userPreferences } = payload.settings;
+                if (userPreferences) {
+                    document.body.classList.toggle('high-contrast', Boolean(userPreferences.highContrast));
+                }
+                return null;
+            }
+            case 'getWarningTrack':
+                return this.exportWarningTrack();
+            default:
+                throw new Error(`Unhandled message ${type}`);
         }
+    },
 
-        // Send message with retry
-        const sendStatsUpdate = (retries = 3) => {
-            chrome.runtime.sendMessage({
-                type: 'statsUpdate',
-                stats: this.state.stats
-            }).catch(error => {
-                if (retries > 0) {
-                    setTimeout(() => sendStatsUpdate(retries - 1), 1000);
-                }
-            });
-        };
+    /**
+     * Reports a detection to the background script, which keeps the statistics
+     * @param {string} [flashType='luminance'] - 'luminance' or 'red'
+     */
+    recordStats(flashType = 'luminance') {
+        this.state.connection.notify('statsRecord', { flashType })
+            .catch(error => this.debug('Detection not counted:', error));
+    },
 
-        sendStatsUpdate();
+    /**
+     * Reports the state of this frame's videos to the background script, which
+     * combines the frames of a tab for the toolbar badge. Changes within
+     * statusReportDelay are sent as one report.
+     */
+    reportStatus() {
+        if (this.state.statusTimer) return;
+        this.state.statusTimer = setTimeout(() => {
+            this.state.statusTimer = null;
+            this.state.connection.notify('tabStatus', { status: this.getFrameStatus() })
+                .catch(error => this.debug('Status not reported:', error));
+        }, this.config.statusReportDelay);
+    },
 
-        // Debounce storage updates due to max_write_operations_per_hour issues
-        const now = Date.now();
-        if (now - this.state.lastStorageUpdate > this.config.storageDebounceTime) {
-            // If enough time has passed, update storage
-            chrome.storage.sync.set({ stats: this.state.stats });
-            this.state.lastStorageUpdate = now;
-            this.state.pendingStats = null;
-        } else {
-            // If not schedule update
-            if (!this.state.pendingStats) {
-                this.state.pendingStats = setTimeout(() => {
-                    chrome.storage.sync.set({ stats: this.state.stats });
-                    this.state.lastStorageUpdate = Date.now();
-                    this.state.pendingStats = null;
-                }, this.config.storageDebounceTime);
-            }
+    /**
+     * Describes the protection of this frame's videos
+     * @returns {{videos: number, blocked: string[], mitigating: number, disabled: boolean}} Videos
+     *          under protection, why analysis is blocked for each blocked video, videos mitigated
+     *          now and whether a site rule turned protection off
+     */
+    getFrameStatus() {
+        const analyzers = Array.from(this.state.analyzers.values());
+        return {
+            videos: analyzers.length,
+            blocked: analyzers.filter(analyzer => analyzer.blocked).map(analyzer => analyzer.blocked),
+            mitigating: analyzers.filter(analyzer => this.isMitigating(analyzer) || analyzer.flashPause).length,
+            disabled: !this.config.protectionEnabled
+        };
+    },
+
+    /**
+     * Finds out whether the frames of a video can be analyzed. Cross-origin
+     * videos served without CORS taint the canvas, and DRM protected (EME)
+     * videos are drawn as black frames, so flashing in them cannot be seen.
+     * @param {HTMLVideoElement} video - The video element
+     * @returns {string|null} 'tainted', 'drm' or null when frames can be analyzed
+     */
+    getAnalysisBlock(video) {
+        if (video.mediaKeys) return 'drm';
+        if (video.readyState >= HTMLMediaElement.HAVE_CURRENT_DATA && !SafeRender.isReadable(video)) {
+            return 'tainted';
         }
+        return null;
+    },
 
-        // Always notify popup immediately
-        chrome.runtime.sendMessage({
-            type: 'statsUpdate',
-            stats: this.state.stats
-        });
+    /**
+     * Rechecks whether an analyzer's video can be analyzed, announcing and reporting changes
+     * @param {Object} analyzer - The analyzer from createAnalyzer
+     * @param {string|null} [blocked] - The reason when already known, see getAnalysisBlock
+     */
+    updateAnalysisBlock(analyzer, blocked = this.getAnalysisBlock(analyzer.video)) {
+        if (blocked === analyzer.blocked) return;
+
+        analyzer.blocked = blocked;
+        if (blocked) {
+            this.announce(blocked === 'drm'
+                ? 'This video is copy protected, flashes in it cannot be detected.'
+                : 'This video cannot be read by the extension, flashes in it cannot be detected.');
+        }
+        this.debug('Analysis blocked:', blocked);
+        this.reportStatus();
     },
 
     setupYouTubeHandler() {
@@ -232,6 +338,7 @@ const FlashProtector = {
 
     setupMutationObserver() {
         const observer = new MutationObserver(mutations => {
+            let nodesRemoved = false;
             mutations.forEach(mutation => {
                 mutation.addedNodes.forEach(node => {
                     if (node.nodeName === 'VIDEO') {
@@ -242,7 +349,17 @@ const FlashProtector = {
                             .forEach(video => this.protectVideo(video));
                     }
                 });
+                nodesRemoved = nodesRemoved || mutation.removedNodes.length > 0;
             });
+
+            // Players moved within the page are still connected by now, only tear down removed ones
+            if (nodesRemoved) {
+                this.state.analyzers.forEach((_analyzer, video) => {
+                    if (!video.isConnected) {
+                        this.destroyAnalyzer(video);
+                    }
+                });
+            }
         });
 
         observer.observe(document.body, {
@@ -260,29 +377,90 @@ const FlashProtector = {
         }
     },
 
+    /**
+     * Creates the analyzer owned by a protected video. Each video keeps its own
+     * canvas, transition history, sampling clock and mitigation state so frames
+     * of different players on the page are never compared with each other.
+     * @param {HTMLVideoElement} video - The video element to analyze
+     * @returns {Object} The analyzer
+     */
+    createAnalyzer(video) {
+        const canvas = document.createElement('canvas');
+        return {
+            video,
+            canvas,
+            context: canvas.getContext('2d', { willReadFrequently: true }),
+            cellTrackers: [],          // Transition history for each grid cell
+            lastAnalysisTime: 0,       // Sampling clock
+            lastAnalysisMediaTime: null, // Media time of the last frame analyzed from a video frame callback
+            frameCheckHandle: null,
+            frameCheckSource: null,    // 'video' for requestVideoFrameCallback, 'animation' for requestAnimationFrame
+            lastPresentedFrames: null, // presentedFrames of the last video frame callback
+            droppedFrames: 0,          // Decoded frames that were not analyzed
+            mitigation: {              // Mitigation state machine, see MITIGATION_STATES
+                state: MITIGATION_STATES.IDLE,
+                mode: null,
+                fadeOut: 0,
+                timer: null
+            },
+            renderer: null,            // SafeRender renderer while safe render is on
+            blendRenderer: null,       // SafeRender renderer while frames are blended
+            blendStopTimer: null,      // Pending stop of blendRenderer while mitigation fades out
+            flashPause: null,          // { flashStart, overlay } while paused for flashing
+            scanner: null,             // LookAhead scanner while the source can be scanned ahead
+            safeStart: null,           // Safe start scan of the opening seconds, see runSafeStart
+            flashIntervals: [],        // Known flashing intervals in seconds, from every kind of analysis
+            timeline: null,            // FlashTimeline drawing flashIntervals on the progress bar
+            warnings: [],              // Segments of an imported warnings manifest for this video
+            activeWarning: null,       // The warned segment currently mitigated
+            blocked: null,             // Why frames cannot be analyzed, see getAnalysisBlock
+            warningTrack: null,        // Caption track warning of known flashing, see WarningTrack
+            ignoreNextSeek: false,     // Set for seeks made by the extension itself
+            analysisPending: false,    // A frame is being analyzed, skip samples until it is done
+            listeners: new AbortController()
+        };
+    },
+
+    /**
+     * Stops analysis of a video and releases everything its analyzer holds
+     * @param {HTMLVideoElement} video - The video element
+     */
+    destroyAnalyzer(video) {
+        const analyzer = this.state.analyzers.get(video);
+        if (!analyzer) return;
+
+        this.cancelFrameCheck(analyzer);
+        clearTimeout(analyzer.mitigation.timer);
+        analyzer.flashPause?.overlay.remove();
+        this.cancelSafeStart(analyzer);
+        if (analyzer.scanner) {
+            LookAhead.stop(analyzer.scanner);
+        }
+        if (analyzer.timeline) {
+            FlashTimeline.destroy(analyzer.timeline);
+        }
+        clearTimeout(analyzer.blendStopTimer);
+        [analyzer.renderer, analyzer.blendRenderer].forEach(renderer => {
+            if (renderer) {
+                SafeRender.stop(renderer);
+            }
+        });
+        analyzer.listeners.abort();
+        analyzer.canvas.width = analyzer.canvas.height = 0;
+
+        this.state.analyzers.delete(video);
+        this.state.activeVideos.delete(video);
+        this.reportStatus();
+        this.debug('Video removed, analyzer destroyed');
+    },
+
     protectVideo(video) {
-        if (!video || this.state.activeVideos.has(video)) return;
+        // Look-ahead clones are hidden and analyzed by their scanner
+        if (!video || this.state.activeVideos.has(video) || video.classList.contains('flash-protection-scanner')) return;
 
         try {
-            // Prevent autoplay
-            video.autoplay = false;
-            video.setAttribute('autoplay', 'false');
-            video.pause();
             video.classList.add('flash-protected-video');
 
-            // Monitors and prevents autoplay attempts
-            const autoplayObserver = new MutationObserver(() => {
-                if (!video.paused) {
-                    video.pause();
-                    this.debug('Prevented autoplay attempt');
-                }
-            });
-
-            autoplayObserver.observe(video, {
-                attributes: true,
-                attributeFilter: ['autoplay']
-            });
-
             // Check if video is visible/rendered
             if (video.offsetParent === null) {
                 this.debug('Video not visible, skipping protection');
@@ -290,9 +468,15 @@ const FlashProtector = {
             }
 
             // CSS transition for smooth brightness changes
-            video.style.transition = 'filter 0.3s ease';
+            video.style.transition = `filter ${this.config.fadeOutDuration}ms ease`;
 
+            const analyzer = this.createAnalyzer(video);
+            const { signal } = analyzer.listeners;
+            this.state.analyzers.set(video, analyzer);
             this.state.activeVideos.add(video);
+            this.loadFlashWarnings(analyzer);
+            this.updateAnalysisBlock(analyzer);
+            this.reportStatus();
 
             // ARIA attributes for accessibility
             video.setAttribute('aria-label', 'Protected video with flash detection');
@@ -300,9 +484,9 @@ const FlashProtector = {
             // Adds keyboard shortcut for manual toggle
             video.parentElement.addEventListener('keydown', (e) => {
                 if (e.altKey && e.key === 'b') {
-                    this.triggerBlackout(video);
+                    this.triggerMitigation(video, undefined, 'blackout');
                 }
-            });
+            }, { signal });
 
             // Enhanced keyboard controls for ease of use
             const handleKeyboard = (e) => {
@@ -314,7 +498,7 @@ const FlashProtector = {
                     switch (e.key.toLowerCase()) {
                         case 'b':
                             e.preventDefault();
-                            this.triggerBlackout(video);
+                            this.triggerMitigation(video, undefined, 'blackout');
                             break;
                         case 's':
                             e.preventDefault();
@@ -344,18 +528,18 @@ const FlashProtector = {
             };
 
             // Keyboard listeners to both video and its container
-            video.addEventListener('keydown', handleKeyboard, true);
-            video.parentElement.addEventListener('keydown', handleKeyboard, true);
+            video.addEventListener('keydown', handleKeyboard, { capture: true, signal });
+            video.parentElement.addEventListener('keydown', handleKeyboard, { capture: true, signal });
             video.tabIndex = 0;
             video.parentElement.tabIndex = 0;
             video.style.outline = 'none';
             video.parentElement.style.outline = 'none';
             video.addEventListener('focus', () => {
                 video.style.outline = '2px solid #0066cc';
-            });
+            }, { signal });
             video.addEventListener('blur', () => {
                 video.style.outline = 'none';
-            });
+            }, { signal });
 
             // Prevents duplication by removing the existing event listener.
             const existingHandler = video.parentElement.getAttribute('data-keyboard-handler');
@@ -369,199 +553,1507 @@ const FlashProtector = {
             video.parentElement.setAttribute('data-keyboard-handler', handlerId);
 
             // Protection logic
-            let frameCheckHandle;
             const stopProtection = () => {
-                if (frameCheckHandle) {
-                    cancelAnimationFrame(frameCheckHandle);
-                    frameCheckHandle = null;
+                // Pausing during safe start stops the scan, pauses made by safe start itself are ignored
+                if (analyzer.safeStart && analyzer.safeStart.state !== 'done') {
+                    this.finishSafeStart(analyzer, false);
+                    return;
+                }
+                this.cancelFrameCheck(analyzer);
+                // Keep the flashing frame hidden while the pause overlay is up
+                if (!analyzer.flashPause) {
+                    // Ensure video returns to normal brightness when stopped
+                    this.resetBrightness(video);
                 }
-                // Ensure video returns to normal brightness when stopped
-                this.resetBrightness(video);
             };
 
             const startProtection = () => {
-                let lastAnalysisTime = 0;
+                // The first play is held back until the opening seconds have been checked
+                if (this.config.safeStart && !analyzer.safeStart) {
+                    this.runSafeStart(analyzer);
+                    return;
+                }
+                if (analyzer.safeStart && analyzer.safeStart.state !== 'done') return;
+
+                // Playing from the player's own controls counts as resuming here
+                if (analyzer.flashPause) {
+                    this.resolveFlashPause(analyzer, 'resume');
+                }
+                this.updateAnalysisBlock(analyzer);
+                analyzer.lastAnalysisTime = 0;
+                analyzer.lastAnalysisMediaTime = null;
+                analyzer.lastPresentedFrames = null;
+
+                const analyzeNow = (timestamp, mediaTime) => {
+                    analyzer.lastAnalysisTime = timestamp;
+                    analyzer.analysisPending = true;
+                    this.processFrame(analyzer, timestamp, mediaTime)
+                        .catch(error => {
+                            this.debug('Frame analysis error:', error);
+                            this.updateAnalysisBlock(analyzer);
+                        })
+                        .finally(() => {
+                            analyzer.analysisPending = false;
+                        });
+                };
 
                 /**
-                 * Checks the brightness of the current video frame
+                 * Checks the current video frame
                  * @param {DOMHighResTimeStamp} timestamp - The current timestamp
-                 * 
+                 * @param {VideoFrameCallbackMetadata} [metadata] - Frame metadata, only
+                 *        passed by requestVideoFrameCallback
                  */
 
-                const checkFrame = (timestamp) => {
+                const checkFrame = (timestamp, metadata) => {
                     if (video.paused || video.ended) {
                         stopProtection();
                         return;
                     }
 
-                    if (timestamp - lastAnalysisTime >= 1000 / this.config.frameSampleRate) {
-                        try {
-                            const brightness = this.analyzeBrightness(video);
-                            if (Math.abs(brightness - this.state.lastBrightness) > this.config.threshold) {
-                                this.triggerBlackout(video);  // Changed from triggerOverlay
-                            }
-                            this.state.lastBrightness = brightness;
-                            lastAnalysisTime = timestamp;
-                        } catch (error) {
-                            this.debug('Frame analysis error:', error);
+                    const frameTime = metadata ? metadata.mediaTime : video.currentTime;
+                    if (this.skipKnownFlashing(analyzer, frameTime)) {
+                        this.scheduleFrameCheck(analyzer, checkFrame);
+                        return;
+                    }
+                    this.applyFlashWarnings(analyzer, frameTime);
+
+                    // Warnings still apply to videos that cannot be analyzed
+                    if (analyzer.blocked) {
+                        this.scheduleFrameCheck(analyzer, checkFrame);
+                        return;
+                    }
+
+                    if (metadata) {
+                        // Driven by decoded frames, at most frameSampleRate of them per second of video.
+                        // Frame times jitter, so frames slightly early still count.
+                        this.trackDroppedFrames(analyzer, metadata);
+                        const last = analyzer.lastAnalysisMediaTime;
+                        const due = last === null || metadata.mediaTime < last ||
+                            metadata.mediaTime - last >= 0.75 / this.config.frameSampleRate;
+                        if (due && analyzer.analysisPending) {
+                            analyzer.droppedFrames++;
+                        } else if (due) {
+                            analyzer.lastAnalysisMediaTime = metadata.mediaTime;
+                            analyzeNow(timestamp, metadata.mediaTime);
                         }
+                    } else if (!analyzer.analysisPending &&
+                        timestamp - analyzer.lastAnalysisTime >= 1000 / this.config.frameSampleRate) {
+                        analyzeNow(timestamp, video.currentTime);
                     }
 
-                    frameCheckHandle = requestAnimationFrame(checkFrame);
+                    this.scheduleFrameCheck(analyzer, checkFrame);
                 };
 
-                frameCheckHandle = requestAnimationFrame(checkFrame);
+                if (!analyzer.frameCheckHandle) {
+                    this.scheduleFrameCheck(analyzer, checkFrame);
+                }
+                this.applySafeRender(analyzer);
+                this.applyLookAhead(analyzer);
             };
 
-            video.addEventListener('play', startProtection);
-            video.addEventListener('pause', stopProtection);
-            video.addEventListener('ended', stopProtection);
+            video.addEventListener('play', startProtection, { signal });
+            video.addEventListener('pause', stopProtection, { signal });
+            video.addEventListener('ended', stopProtection, { signal });
             video.addEventListener('seeking', () => {
+                if (analyzer.scanner) {
+                    LookAhead.seek(analyzer.scanner, video.currentTime);
+                }
+                if (analyzer.ignoreNextSeek) {
+                    analyzer.ignoreNextSeek = false;
+                    return;
+                }
                 this.triggerSeekProtection(video);
-            });
+            }, { signal });
+            // A new source makes the known intervals meaningless
+            video.addEventListener('emptied', () => {
+                if (analyzer.scanner) {
+                    LookAhead.stop(analyzer.scanner);
+                    analyzer.scanner = null;
+                }
+                analyzer.flashIntervals = [];
+                // The next video is checked from its own start when it plays
+                this.cancelSafeStart(analyzer);
+                if (analyzer.timeline) {
+                    FlashTimeline.update(analyzer.timeline, []);
+                }
+                this.updateWarningTrack(analyzer);
+                this.updateAnalysisBlock(analyzer);
+            }, { signal });
+            // Players attach media keys only after the stream turns out to be encrypted
+            video.addEventListener('encrypted', () => this.updateAnalysisBlock(analyzer, 'drm'), { signal });
+            video.addEventListener('loadeddata', () => this.updateAnalysisBlock(analyzer), { signal });
+            // Single page sites load the next video into the same element
+            video.addEventListener('loadedmetadata', () => this.loadFlashWarnings(analyzer), { signal });
+            video.addEventListener('durationchange', () => {
+                if (analyzer.timeline) {
+                    FlashTimeline.update(analyzer.timeline, analyzer.flashIntervals);
+                }
+            }, { signal });
+
+            // Videos already playing are checked from where they are
+            if (!video.paused) {
+                startProtection();
+            }
         } catch (error) {
             this.debug('Error protecting video:', error);
         }
     },
 
-    // Triggers a blackout of the video element to protect (aim to protect) against flashes
+    // Triggers mitigation of the video element to protect (aim to protect) against flashes
     /**
      * 
-     * @param {HTMLVideoElement} video - The video element to apply the blackout to
+     * @param {HTMLVideoElement} video - The video element to mitigate
+     * @param {Object} [detection] - The detection from detectFlashes, absent for manual blackouts
+     * @param {string} detection.type - 'luminance' or 'red'
+     * @param {string} [mode] - Key of MITIGATION_MODES, defaults to the configured mode
      * 
      */
 
-    triggerBlackout(video) {
-        if (!video) return;
+    triggerMitigation(video, detection, mode = this.config.mitigationMode) {
+        const analyzer = this.state.analyzers.get(video);
+        if (!analyzer) return;
+
+        const type = detection ? detection.type : 'luminance';
+        const wasProtecting = this.isMitigating(analyzer);
 
         // Update stats
-        this.updateStats(true);
+        this.recordStats(type);
+
+        if (mode === 'pause') {
+            if (!wasProtecting) {
+                this.pauseForFlashing(analyzer, detection);
+                return;
+            }
+            // Already protected, e.g. while skipping past flashing, so keep the current mode
+            mode = analyzer.mitigation.mode === 'pause' ? 'blackout' : analyzer.mitigation.mode;
+        }
+        const { label } = MITIGATION_MODES[mode] || MITIGATION_MODES.blackout;
 
-        // Announce flash detection
-        this.announce('Flash detected. Screen darkened for 5 seconds for protection.');
+        // Manual blackouts keep their fixed duration, detections are held until flashing stops
+        const hold = detection ? this.config.minMitigationDuration : this.config.blackoutDuration;
+        this.startMitigation(analyzer, mode, { hold });
 
-        // Clear any existing timer for this video
-        const existingTimer = this.state.activeTimers.get(video);
-        if (existingTimer) {
-            clearTimeout(existingTimer.timeout);
-            this.debug('Reset blackout timer');
+        // Announce flash detection once, not for every second flashing continues
+        if (!wasProtecting) {
+            this.announce(detection
+                ? `${type === 'red' ? 'Red flashing' : 'Flashing'} detected. ${label} until the flashing stops.`
+                : `${label} for ${Math.round(hold / 1000)} seconds.`);
         }
+    },
 
-        // Apply blackout
-        video.style.filter = 'brightness(0)';
+    /**
+     * Pauses a video for flashing and offers to resume, skip past the flashing or
+     * rewind. Mitigation is held without a timer until the user chooses.
+     * @param {Object} analyzer - The analyzer from createAnalyzer
+     * @param {Object} [detection] - The detection from detectFlashes
+     */
+    pauseForFlashing(analyzer, detection) {
+        const { video } = analyzer;
+        const flashStart = detection?.startTime ?? video.currentTime;
+
+        this.applyMitigation(analyzer, 'pause');
+        analyzer.mitigation.mode = 'pause';
+        this.setMitigationState(analyzer, MITIGATION_STATES.MITIGATING);
+
+        analyzer.flashPause = { flashStart, overlay: this.createFlashPauseOverlay(analyzer, flashStart) };
+        this.reportStatus();
+        video.pause();
 
-        // Sets a new timer
-        const timeoutId = setTimeout(() => {
-            video.style.filter = 'brightness(1)';
-            this.announce('Screen brightness restored');
-            this.state.activeTimers.delete(video);
-        }, this.config.blackoutDuration);
+        this.announce(`Flashing detected at ${this.formatMediaTime(flashStart)}. Video paused. ` +
+            'Choose resume here, skip past flashing, or rewind.');
+    },
+
+    /**
+     * Creates the overlay shown over a video paused for flashing
+     * @param {Object} analyzer - The analyzer from createAnalyzer
+     * @param {number} flashStart - Media time where the flashing started in seconds
+     * @returns {HTMLElement} The overlay
+     */
+    createFlashPauseOverlay(analyzer, flashStart) {
+        const { video } = analyzer;
+        const overlay = document.createElement('div');
+        overlay.className = 'flash-protection-pause-overlay';
+        overlay.setAttribute('role', 'dialog');
+        overlay.setAttribute('aria-label', 'Flashing detected, video paused');
+        overlay.style.cssText = `position: absolute; z-index: 2147483647;
+            left: ${video.offsetLeft}px; top: ${video.offsetTop}px;
+            width: ${video.offsetWidth}px; height: ${video.offsetHeight}px;
+            display: flex; flex-direction: column; align-items: center; justify-content: center; gap: 12px;
+            background: rgba(0, 0, 0, 0.85); color: #fff; font: 16px system-ui, sans-serif; text-align: center;`;
+
+        const message = document.createElement('p');
+        message.textContent = `Flashing detected at ${this.formatMediaTime(flashStart)}. Playback paused.`;
+        overlay.appendChild(message);
+
+        const actions = [
+            ['resume', 'Resume here'],
+            ['skip', 'Skip past flashing'],
+            ['rewind', `Rewind ${this.config.rewindDuration}s`]
+        ];
+        actions.forEach(([action, text]) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.textContent = text;
+            button.style.cssText = 'min-width: 200px; padding: 8px 16px; font: inherit; cursor: pointer; ' +
+                'color: #fff; background: #333; border: 2px solid #fff; border-radius: 4px;';
+            button.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.resolveFlashPause(analyzer, action);
+            });
+            overlay.appendChild(button);
+        });
 
-        // Store timer reference
-        this.state.activeTimers.set(video, {
-            timeout: timeoutId,
-            startTime: Date.now()
+        // Keep clicks and keys from reaching the site's player underneath
+        ['click', 'mousedown', 'keydown'].forEach(type => {
+            overlay.addEventListener(type, e => e.stopPropagation());
         });
 
-        this.debug('Video blackout activated for 5 seconds');
+        video.parentElement.appendChild(overlay);
+        overlay.querySelector('button').focus();
+        return overlay;
+    },
+
+    /**
+     * Closes the pause overlay and continues playback as chosen
+     * @param {Object} analyzer - The analyzer from createAnalyzer
+     * @param {string} action - 'resume' plays on from the pause, 'skip' plays from past the
+     *        flashing, see findSkipTarget, 'rewind' plays from before the flashing started
+     */
+    resolveFlashPause(analyzer, action) {
+        const { video } = analyzer;
+        const { flashStart, overlay } = analyzer.flashPause;
+        analyzer.flashPause = null;
+        this.reportStatus();
+        overlay.remove();
+
+        const target = action === 'skip' ? this.findSkipTarget(analyzer) : null;
+        if (action === 'skip' && target === null) {
+            // Nowhere to seek to, e.g. in live streams
+            this.startMitigation(analyzer, 'blackout', { hold: this.config.minMitigationDuration });
+            this.announce('Skipping past flashing. Screen darkened until the flashing stops.');
+        } else {
+            this.resetBrightness(video);
+            if (action === 'rewind') {
+                analyzer.ignoreNextSeek = true;
+                video.currentTime = Math.max(0, flashStart - this.config.rewindDuration);
+                this.announce(`Rewound to ${this.formatMediaTime(video.currentTime)}.`);
+            } else if (action === 'skip') {
+                analyzer.ignoreNextSeek = true;
+                video.currentTime = target;
+                this.announce(`Skipped past flashing to ${this.formatMediaTime(target)}.`);
+            }
+        }
+
+        if (video.paused) {
+            video.play().catch(error => this.debug('Resume after flashing failed:', error));
+        }
+    },
+
+    /**
+     * Finds where playback continues when skipping the flashing a video paused
+     * for. A known interval the video is in, from the look-ahead scan, earlier
+     * analysis or a warnings manifest, is skipped to half the merge gap past its
+     * end, as in skipKnownFlashing. Otherwise the video skips skipDuration past
+     * the last detection, the reactive analysis pauses again should the
+     * flashing go on.
+     * @param {Object} analyzer - The analyzer from createAnalyzer
+     * @returns {number|null} Media time in seconds, null when the video cannot seek there
+     */
+    findSkipTarget(analyzer) {
+        const { video } = analyzer;
+        const time = video.currentTime;
+        // Scanner intervals still growing have no end yet
+        const known = [...(analyzer.scanner?.intervals || []), ...analyzer.flashIntervals, ...analyzer.warnings]
+            .filter(interval => interval.closed !== false && interval.start <= time && time < interval.end);
+        const end = known.length > 0
+            ? Math.max(...known.map(interval => interval.end)) + LookAhead.MERGE_GAP / 2
+            : time + this.config.skipDuration;
+        const target = Number.isFinite(video.duration) ? Math.min(end, video.duration) : end;
+
+        for (let i = 0; i < video.seekable.length; i++) {
+            if (video.seekable.start(i) <= target && target <= video.seekable.end(i)) {
+                return target;
+            }
+        }
+        return null;
+    },
+
+    /**
+     * Formats a media time as m:ss
+     * @param {number} seconds - Media time in seconds
+     * @returns {string}
+     */
+    formatMediaTime(seconds) {
+        const total = Math.max(0, Math.floor(seconds));
+        return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
     },
 
     triggerSeekProtection(video) {
-        if (!video) return;
+        const analyzer = this.state.analyzers.get(video);
+        // A duration of 0 turns seek protection off in the options
+        if (!analyzer || this.config.seekProtectionDuration === 0) return;
 
-        // Apply immediate blackout
-        video.style.filter = 'brightness(0)';
         this.announce('Video seek detected. Temporary protection activated.');
+        this.startMitigation(analyzer, 'blackout', {
+            hold: this.config.seekProtectionDuration,
+            fadeOut: this.config.seekFadeOutDuration
+        });
+    },
+
+    /**
+     * Checks whether an analyzer's video is currently being protected
+     * @param {Object} analyzer - The analyzer from createAnalyzer
+     * @returns {boolean} True while mitigating or monitoring
+     */
+    isMitigating(analyzer) {
+        const { state } = analyzer.mitigation;
+        return state === MITIGATION_STATES.MITIGATING || state === MITIGATION_STATES.MONITORING;
+    },
+
+    /**
+     * Moves an analyzer's mitigation to a new state, replacing the timer of the previous state
+     * @param {Object} analyzer - The analyzer from createAnalyzer
+     * @param {string} state - One of MITIGATION_STATES
+     * @param {number} [delay] - Time until `next` runs
+     * @param {Function} [next] - Runs when the state has lasted `delay`
+     */
+    setMitigationState(analyzer, state, delay, next) {
+        const { mitigation } = analyzer;
+        clearTimeout(mitigation.timer);
+        mitigation.timer = next ? setTimeout(next, delay) : null;
+
+        if (mitigation.state !== state) {
+            this.debug(`Mitigation ${mitigation.state} -> ${state}`);
+            mitigation.state = state;
+            this.reportStatus();
+        }
+    },
 
-        // Clear any existing timer
-        const existingTimer = this.state.activeTimers.get(video);
-        if (existingTimer) {
-            clearTimeout(existingTimer.timeout);
+    /**
+     * Enters the mitigating state: the mode is applied and held for at least
+     * `hold`, analysis keeps running since CSS filters do not affect drawImage
+     * @param {Object} analyzer - The analyzer from createAnalyzer
+     * @param {string} mode - Key of MITIGATION_MODES
+     * @param {Object} timing
+     * @param {number} timing.hold - Minimum time to stay in the mitigating state
+     * @param {number} [timing.fadeOut=config.fadeOutDuration] - Fade out duration when released
+     */
+    startMitigation(analyzer, mode, { hold, fadeOut = this.config.fadeOutDuration }) {
+        const { mitigation } = analyzer;
+        if (mitigation.mode !== mode || !this.isMitigating(analyzer)) {
+            this.applyMitigation(analyzer, mode);
         }
+        mitigation.mode = mode;
+        mitigation.fadeOut = fadeOut;
 
-        let startTime = Date.now();
-        let fadeInterval;
+        this.setMitigationState(analyzer, MITIGATION_STATES.MITIGATING, hold,
+            () => this.monitorMitigation(analyzer));
+    },
 
-        // Set protection timer
-        const timeoutId = setTimeout(() => {
-            // Start gradual fade if no flashes detected
-            fadeInterval = setInterval(() => {
-                const elapsed = Date.now() - startTime;
-                const progress = Math.min(1, (elapsed - this.config.seekProtectionDuration) / this.config.seekFadeOutDuration);
-                video.style.filter = `brightness(${progress})`;
+    /**
+     * Enters the monitoring state: mitigation stays applied until the stream
+     * has been free of transitions for the quiet period
+     * @param {Object} analyzer - The analyzer from createAnalyzer
+     */
+    monitorMitigation(analyzer) {
+        this.setMitigationState(analyzer, MITIGATION_STATES.MONITORING, this.config.quietPeriod,
+            () => this.endMitigation(analyzer));
+    },
 
-                if (progress >= 1) {
-                    clearInterval(fadeInterval);
-                    this.announce('Protection restored to normal levels.');
-                }
-            }, 50);
-        }, this.config.seekProtectionDuration);
+    /**
+     * Restarts the quiet period of a monitoring analyzer, called for frames with transitions
+     * @param {Object} analyzer - The analyzer from createAnalyzer
+     */
+    noteFlashActivity(analyzer) {
+        if (analyzer.mitigation.state === MITIGATION_STATES.MONITORING) {
+            this.monitorMitigation(analyzer);
+        }
+    },
 
-        this.state.activeTimers.set(video, {
-            timeout: timeoutId,
-            fadeInterval: fadeInterval,
-            startTime: startTime
+    /**
+     * Enters the releasing state and fades the mitigation out, then returns to idle
+     * @param {Object} analyzer - The analyzer from createAnalyzer
+     */
+    endMitigation(analyzer) {
+        const { fadeOut } = analyzer.mitigation;
+        this.setMitigationState(analyzer, MITIGATION_STATES.RELEASING, fadeOut, () => {
+            analyzer.mitigation.mode = null;
+            this.setMitigationState(analyzer, MITIGATION_STATES.IDLE);
         });
+        this.releaseMitigation(analyzer, fadeOut);
+        this.announce('Flashing has stopped. Screen brightness restored.');
+    },
+
+    /**
+     * Applies a mitigation mode to an analyzer's video, fading in over fadeInDuration
+     * @param {Object} analyzer - The analyzer from createAnalyzer
+     * @param {string} mode - Key of MITIGATION_MODES
+     */
+    applyMitigation(analyzer, mode) {
+        const { video } = analyzer;
+        const strength = this.config.overlayOpacity;
+        let filter = (MITIGATION_MODES[mode] || MITIGATION_MODES.blackout).filter(strength);
+
+        // A blend renderer still fading out is kept rather than stopped and started again
+        if (mode === 'blend' && analyzer.blendStopTimer) {
+            clearTimeout(analyzer.blendStopTimer);
+            analyzer.blendStopTimer = null;
+        }
+        // Blending needs readable frames, the safe renderer already blends while mitigating
+        if (mode === 'blend' && !analyzer.renderer && !analyzer.blendRenderer) {
+            const renderer = SafeRender.create(video, {
+                delayFrames: 0,
+                audioSyncOffset: 0,
+                blendAlpha: 1 - strength,
+                delayAudio: false
+            }, () => this.isMitigating(analyzer), (message, error) => {
+                this.debug(message, error);
+                if (!renderer.active && analyzer.blendRenderer === renderer) {
+                    clearTimeout(analyzer.blendStopTimer);
+                    analyzer.blendStopTimer = null;
+                    analyzer.blendRenderer = null;
+                    if (analyzer.mitigation.mode === 'blend' && this.isMitigating(analyzer)) {
+                        video.style.filter = MITIGATION_MODES.dim.filter(strength);
+                    }
+                }
+            });
+            analyzer.blendRenderer = renderer;
+            SafeRender.start(renderer).then(started => {
+                if (!started && analyzer.blendRenderer === renderer) {
+                    analyzer.blendRenderer = null;
+                    video.style.filter = MITIGATION_MODES.dim.filter(strength);
+                    this.debug('Frame blending unavailable for this video, dimming instead');
+                }
+            });
+        }
+        if (mode === 'blend' && analyzer.renderer) {
+            filter = MITIGATION_MODES.dim.filter(strength / 2);
+        }
+
+        video.style.transition = `filter ${this.config.fadeInDuration}ms`;
+        video.style.filter = filter;
     },
 
+    /**
+     * Removes mitigation from an analyzer's video
+     * @param {Object} analyzer - The analyzer from createAnalyzer
+     * @param {number} [fadeOut=config.fadeOutDuration] - Fade out duration in miliseconds
+     */
+    releaseMitigation(analyzer, fadeOut = this.config.fadeOutDuration) {
+        const { video } = analyzer;
+        video.style.transition = `filter ${fadeOut}ms ease`;
+        video.style.filter = 'none';
+
+        if (analyzer.blendRenderer && !analyzer.blendStopTimer) {
+            // Let the blended frames settle before showing the video again
+            const renderer = analyzer.blendRenderer;
+            analyzer.blendStopTimer = setTimeout(() => {
+                analyzer.blendStopTimer = null;
+                analyzer.blendRenderer = null;
+                SafeRender.stop(renderer);
+            }, fadeOut);
+        }
+    },
+
+    /**
+     * Drops any mitigation of a video at once, used for manual resets and when playback stops
+     * @param {HTMLVideoElement} video - The video element
+     */
     resetBrightness(video) {
-        video.style.filter = 'brightness(1)';
+        const analyzer = this.state.analyzers.get(video);
+        if (analyzer) {
+            this.setMitigationState(analyzer, MITIGATION_STATES.IDLE);
+            analyzer.mitigation.mode = null;
+            this.releaseMitigation(analyzer, 0);
+        } else {
+            video.style.filter = 'none';
+        }
         this.announce('Screen brightness restored');
     },
 
     /**
-     * Analyzes the brightness of the video element
-     * @param {HTMLVideoElement} video - The video element to analyze
-     * @returns {number} The average brightness of video
+     * Copies stored settings, with the site rule for this frame's origin
+     * applied, into the config and applies the groups that changed to the
+     * videos already protected
+     * @param {Object} settings - Complete settings, see Settings.load
+     * @param {string[]} [keys=Settings.KEYS] - The stored keys that changed
+     */
+    setConfig(settings, keys = Settings.KEYS) {
+        const { settings: effective, rule } = Settings.forSite(settings, window.location.origin);
+        // Any group may differ on this site once its rules or profiles change
+        const changed = keys.includes('siteRules') || keys.includes('profiles') ? Settings.KEYS : keys;
+        const enabled = rule?.action !== 'disable';
+
+        Object.assign(this.config, Settings.toConfig(effective));
+        this.state.currentSensitivity = this.config.threshold;
+        this.state.siteRule = rule;
+        document.body.classList.toggle('high-contrast', settings.userPreferences.highContrast);
+
+        if (enabled !== this.config.protectionEnabled) {
+            this.config.protectionEnabled = enabled;
+            this.applySettings();
+            this.reportStatus();
+            this.debug(`Protection ${enabled ? 'on' : 'off'} on this site`, rule);
+        }
+
+        if (changed.includes('detection')) {
+            this.updateActiveBrightness();
+        }
+        if (changed.includes('safeRender')) {
+            this.state.analyzers.forEach(analyzer => this.applySafeRender(analyzer));
+        }
+        if (changed.includes('lookAhead')) {
+            this.state.analyzers.forEach(analyzer => this.applyLookAhead(analyzer));
+        }
+    },
+
+    /**
+     * Returns the flash rules for the current sensitivity level
+     * @returns {{maxFlashesPerSecond: number, luminanceDelta: number}}
+     */
+    getFlashRules() {
+        return SENSITIVITY_RULES[this.config.sensitivityLevel] || SENSITIVITY_RULES[3];
+    },
+
+    /**
+     * Creates a tracker that turns a per-frame metric into opposing
+     * transitions and keeps the transitions inside the flash window
+     * @param {Object} [options]
+     * @param {number} [options.darkCeiling=Infinity] - The darker side of a transition must be below this value
+     * @returns {Object} The transition tracker
+     */
+    createTransitionTracker({ darkCeiling = Infinity } = {}) {
+        return {
+            darkCeiling,
+            extreme: null,   // Metric value at the last turning point
+            direction: 0,    // 1 rising, -1 falling, 0 before the first transition
+            transitions: [], // Timestamps of transitions within the flash window
+            lastTransition: null
+        };
+    },
+
+    /**
+     * Feeds a metric sample into a transition tracker. A transition is a change
+     * of at least `delta` from the last turning point, changes in the same
+     * direction extend the current excursion, so recorded transitions always
+     * alternate and every two of them form one flash.
+     * @param {Object} tracker - Tracker from createTransitionTracker
+     * @param {number} value - The metric value of the current frame
+     * @param {number} delta - Minimum change that counts as a transition
+     * @param {DOMHighResTimeStamp} timestamp - Time of the sample
+     * @returns {number} Flashes within the flash window
+     */
+    recordSample(tracker, value, delta, timestamp) {
+        if (tracker.extreme === null) {
+            tracker.extreme = value;
+            return 0;
+        }
+
+        const change = value - tracker.extreme;
+        const direction = Math.sign(change);
+
+        if (direction !== 0 && direction === tracker.direction) {
+            tracker.extreme = value;
+        } else if (Math.abs(change) >= delta && Math.min(value, tracker.extreme) < tracker.darkCeiling) {
+            tracker.transitions.push(timestamp);
+            tracker.lastTransition = timestamp;
+            tracker.direction = direction;
+            tracker.extreme = value;
+        }
+
+        const windowStart = timestamp - this.config.flashWindow;
+        while (tracker.transitions.length > 0 && tracker.transitions[0] <= windowStart) {
+            tracker.transitions.shift();
+        }
+
+        return Math.floor(tracker.transitions.length / 2);
+    },
+
+    /**
+     * Returns the transition trackers for each grid cell, rebuilding them when the grid size changes
+     * @param {Object} analyzer - The analyzer from createAnalyzer
+     * @returns {Array<{luminance: Object, red: Object}>}
+     */
+    getCellTrackers(analyzer) {
+        const cellCount = this.config.gridColumns * this.config.gridRows;
+        if (analyzer.cellTrackers.length !== cellCount) {
+            analyzer.cellTrackers = Array.from({ length: cellCount }, () => ({
+                luminance: this.createTransitionTracker({ darkCeiling: this.config.maxDarkLuminance }),
+                red: this.createTransitionTracker()
+            }));
+        }
+        return analyzer.cellTrackers;
+    },
+
+    /**
+     * Returns the share of the screen the video occupies, so flashing
+     * area within the frame can be compared with the WCAG area limit
+     * @param {HTMLVideoElement} video - The video element
+     * @returns {number} Share of the screen between 0 and 1
+     */
+    getScreenShare(video) {
+        const rect = video.getBoundingClientRect();
+        const screenArea = window.screen.width * window.screen.height;
+        if (!screenArea || !rect.width || !rect.height) return 1;
+        return Math.min(1, (rect.width * rect.height) / screenArea);
+    },
+
+    /**
+     * Applies the general flash rule and the red flash rule to each grid cell.
+     * Cells flashing more often than allowed are added up, protection triggers
+     * once their area exceeds minFlashArea of the screen.
+     * @param {Object} analyzer - The analyzer holding the transition history
+     * @param {Object} metrics - Frame metrics from analyzeFrame
+     * @param {Array<{luminance: number, redShare: number}>} metrics.cells - Metrics for each grid cell
+     * @param {DOMHighResTimeStamp} timestamp - Time of the sample
+     * @param {number} [screenShare=1] - Share of the screen the video occupies
+     * @returns {Object|null} The detection, or null when within limits. `startedAt` is the
+     *          timestamp of the first transition of the flashing within the window, `values`
+     *          the metric of each flashing cell in this frame
+     */
+    detectFlashes(analyzer, metrics, timestamp, screenShare = 1) {
+        const rules = this.getFlashRules();
+        const trackers = this.getCellTrackers(analyzer);
+        const checks = [
+            { type: 'luminance', metric: 'luminance', delta: rules.luminanceDelta },
+            { type: 'red', metric: 'redShare', delta: rules.redDelta }
+        ];
+
+        let detection = null;
+        let activity = false;
+        for (const { type, metric, delta } of checks) {
+            const tracker = cell => trackers[cell][type];
+            const flashingCells = [];
+            let maxFlashes = 0;
+
+            metrics.cells.forEach((cellMetrics, cell) => {
+                const flashes = this.recordSample(tracker(cell), cellMetrics[metric], delta, timestamp);
+                activity = activity || tracker(cell).lastTransition === timestamp;
+                if (flashes > rules.maxFlashesPerSecond) {
+                    flashingCells.push(cell);
+                    maxFlashes = Math.max(maxFlashes, flashes);
+                }
+            });
+
+            const area = flashingCells.length / metrics.cells.length;
+            if (!detection && flashingCells.length > 0 && area * screenShare >= this.config.minFlashArea) {
+                const region = this.describeRegion(flashingCells);
+                this.debug(`${type} flash threshold exceeded: ${maxFlashes} flashes in ${this.config.flashWindow}ms`,
+                    `over ${(area * 100).toFixed(0)}% of the frame`, region);
+                const startedAt = Math.min(...flashingCells.map(cell => tracker(cell).transitions[0]));
+                // Start counting afresh so ongoing flashing re-triggers once per window
+                metrics.cells.forEach((_, cell) => {
+                    tracker(cell).transitions = [];
+                });
+                const values = flashingCells.map(cell => metrics.cells[cell][metric]);
+                detection = { type, flashes: maxFlashes, area, cells: flashingCells, region, startedAt, values };
+            }
+        }
+
+        if (activity) {
+            this.noteFlashActivity(analyzer);
+        }
+        return detection;
+    },
+
+    /**
+     * Describes the bounding box of flashing grid cells as fractions of the frame
+     * @param {number[]} cells - Indexes of the flashing cells
+     * @returns {{x: number, y: number, width: number, height: number}}
+     */
+    describeRegion(cells) {
+        const { gridColumns, gridRows } = this.config;
+        const columns = cells.map(cell => cell % gridColumns);
+        const rows = cells.map(cell => Math.floor(cell / gridColumns));
+        const left = Math.min(...columns);
+        const top = Math.min(...rows);
+
+        return {
+            x: left / gridColumns,
+            y: top / gridRows,
+            width: (Math.max(...columns) - left + 1) / gridColumns,
+            height: (Math.max(...rows) - top + 1) / gridRows
+        };
+    },
+
+    /**
+     * Outlines the flashing region of a detection over the video in debug mode
+     * @param {HTMLVideoElement} video - The video element
+     * @param {Object} detection - The detection from detectFlashes
+     */
+    showDebugRegion(video, detection) {
+        if (!this.config.debugMode || !detection.region) return;
+
+        const rect = video.getBoundingClientRect();
+        const { x, y, width, height } = detection.region;
+        const outline = document.createElement('div');
+        outline.className = 'flash-protection-debug-region';
+        outline.style.cssText = `position: absolute; pointer-events: none; z-index: 2147483647;
+            border: 2px solid ${detection.type === 'red' ? '#ff0000' : '#ffcc00'};
+            left: ${window.scrollX + rect.left + x * rect.width}px;
+            top: ${window.scrollY + rect.top + y * rect.height}px;
+            width: ${width * rect.width}px; height: ${height * rect.height}px;`;
+        document.body.appendChild(outline);
+        setTimeout(() => outline.remove(), 1000);
+    },
+
+    /**
+     * Starts, updates or stops safe render for an analyzer to match the config
+     * @param {Object} analyzer - The analyzer from createAnalyzer
+     * @returns {Promise<void>}
+     */
+    async applySafeRender(analyzer) {
+        const options = {
+            delayFrames: this.config.safeRenderDelayFrames,
+            audioSyncOffset: this.config.audioSyncOffset
+        };
+
+        if (!this.config.safeRender) {
+            if (analyzer.renderer) {
+                SafeRender.stop(analyzer.renderer);
+                analyzer.renderer = null;
+            }
+            return;
+        }
+
+        if (analyzer.renderer) {
+            SafeRender.update(analyzer.renderer, options);
+            return;
+        }
+
+        const onError = (message, error) => {
+            this.debug(message, error);
+            // Capture failures stop the renderer, the video is then protected after display
+            if (!renderer.active && analyzer.renderer === renderer) {
+                analyzer.renderer = null;
+            }
+        };
+        const renderer = SafeRender.create(analyzer.video, options, () => this.isMitigating(analyzer), onError);
+        analyzer.renderer = renderer;
+        if (!await SafeRender.start(renderer)) {
+            analyzer.renderer = null;
+            this.debug('Safe render unavailable for this video, protecting after display instead');
+        }
+    },
+
+    /**
+     * Starts, updates or stops the look-ahead scan of an analyzer to match the
+     * config. Sources that cannot be scanned are left to reactive mitigation.
+     * @param {Object} analyzer - The analyzer from createAnalyzer
+     * @returns {Promise<void>}
+     */
+    async applyLookAhead(analyzer) {
+        const { video } = analyzer;
+        if (!this.config.lookAhead) {
+            if (analyzer.scanner) {
+                LookAhead.stop(analyzer.scanner);
+                analyzer.scanner = null;
+            }
+            return;
+        }
+
+        if (analyzer.scanner) {
+            analyzer.scanner.options.aheadSeconds = this.config.lookAheadSeconds;
+            LookAhead.pace(analyzer.scanner);
+            return;
+        }
+        if (video.paused) return;
+
+        // The clone gets an analyzer of its own so its transitions are never mixed with the visible video's
+        let scanAnalyzer = null;
+        const scanner = LookAhead.create(video, { aheadSeconds: this.config.lookAheadSeconds }, {
+            analyze: (_clone, mediaTime) => this.scanFrame(scanAnalyzer, mediaTime, video),
+            restart: () => {
+                scanAnalyzer.cellTrackers = [];
+            },
+            onInterval: interval => this.recordFlashInterval(analyzer, interval),
+            onError: (message, error) => this.debug(message, error)
+        });
+        scanAnalyzer = this.createAnalyzer(scanner.clone);
+        analyzer.scanner = scanner;
+
+        if (await LookAhead.start(scanner)) {
+            this.debug('Look-ahead scan started');
+        } else {
+            if (analyzer.scanner === scanner) {
+                analyzer.scanner = null;
+            }
+            this.debug('Look-ahead scan unavailable for this video, mitigating flashes as they play');
+        }
+    },
+
+    /**
+     * Analyzes a frame ahead of playback, timed in media time so the flash window
+     * covers one second of video whatever the scan's playback rate
+     * @param {Object} scanAnalyzer - An analyzer from createAnalyzer used only for the scan
+     * @param {number} mediaTime - Position of the frame in seconds
+     * @param {HTMLVideoElement} video - The visible video, for the screen share
+     * @returns {Promise<Object|null>} The detection with its `startTime` in seconds, or null
+     */
+    async scanFrame(scanAnalyzer, mediaTime, video) {
+        const metrics = this.state.worker
+            ? await this.analyzeFrameInWorker(scanAnalyzer)
+            : this.analyzeFrame(scanAnalyzer);
+        const detection = this.detectFlashes(scanAnalyzer, metrics, mediaTime * 1000, this.getScreenShare(video));
+        if (detection) {
+            detection.startTime = detection.startedAt / 1000;
+        }
+        return detection;
+    },
+
+    /**
+     * Holds a video hidden and muted while its opening seconds play at an
+     * accelerated rate and are checked for flashing, see finishSafeStart
+     * @param {Object} analyzer - The analyzer from createAnalyzer
+     */
+    runSafeStart(analyzer) {
+        const { video } = analyzer;
+        const { safeStartSeconds, safeStartRate } = this.config;
+        const scan = {
+            state: 'scanning',         // 'scanning', 'revealing' while seeking back, then 'done', or 'cancelled' see cancelSafeStart
+            analyzer: this.createAnalyzer(video),
+            startTime: video.currentTime,
+            endTime: video.currentTime + safeStartSeconds,
+            scannedTo: video.currentTime,
+            intervals: [],
+            failed: false,
+            busy: false,
+            restore: { muted: video.muted, playbackRate: video.playbackRate, opacity: video.style.opacity },
+            notice: this.createSafeStartNotice(video),
+            // Stalled loading must not keep the video hidden forever
+            timeout: setTimeout(() => this.finishSafeStart(analyzer, true),
+                safeStartSeconds / safeStartRate * 1000 + 10000)
+        };
+        analyzer.safeStart = scan;
+
+        video.style.opacity = '0';
+        video.muted = true;
+        video.playbackRate = safeStartRate;
+        this.announce(`Checking the next ${safeStartSeconds} seconds for flashing before playing.`);
+
+        const onFrame = (_timestamp, metadata) => {
+            if (scan.state !== 'scanning') return;
+
+            const mediaTime = metadata ? metadata.mediaTime : video.currentTime;
+            if (mediaTime >= scan.endTime || video.ended) {
+                this.finishSafeStart(analyzer, true);
+                return;
+            }
+
+            if (!scan.busy) {
+                scan.busy = true;
+                this.scanFrame(scan.analyzer, mediaTime, video).then(detection => {
+                    scan.scannedTo = Math.max(scan.scannedTo, mediaTime);
+                    if (detection) {
+                        const interval = {
+                            start: detection.startTime,
+                            end: mediaTime,
+                            type: detection.type,
+                            flashes: detection.flashes,
+                            closed: true
+                        };
+                        scan.intervals = LookAhead.mergeInterval(scan.intervals, interval).intervals;
+                        this.recordFlashInterval(analyzer, interval);
+                    }
+                }).catch(error => {
+                    // Cross-origin frames cannot be read, the video is protected as it plays instead
+                    this.debug('Safe start scan failed:', error);
+                    scan.failed = true;
+                    this.finishSafeStart(analyzer, true);
+                }).finally(() => {
+                    scan.busy = false;
+                });
+            }
+            this.scheduleFrameCheck(scan.analyzer, onFrame);
+        };
+        this.scheduleFrameCheck(scan.analyzer, onFrame);
+    },
+
+    /**
+     * Ends the safe start scan: returns the video to where it started, restores
+     * its sound and rate, reveals it and announces what was found
+     * @param {Object} analyzer - The analyzer from createAnalyzer
+     * @param {boolean} resume - Whether to play on, false when the user paused during the scan
+     */
+    finishSafeStart(analyzer, resume) {
+        const { video } = analyzer;
+        const scan = analyzer.safeStart;
+        if (!scan || scan.state !== 'scanning') return;
+
+        scan.state = 'revealing';
+        clearTimeout(scan.timeout);
+        this.cancelFrameCheck(scan.analyzer);
+        scan.analyzer.canvas.width = scan.analyzer.canvas.height = 0;
+
+        video.pause();
+        video.muted = scan.restore.muted;
+        video.playbackRate = scan.restore.playbackRate;
+
+        const reveal = () => {
+            if (scan.state !== 'revealing') return;
+            scan.state = 'done';
+            video.style.opacity = scan.restore.opacity;
+
+            const summary = this.describeSafeStart(scan);
+            scan.notice.textContent = summary;
+            scan.notice.style.background = 'rgba(0, 0, 0, 0.7)';
+            scan.notice.style.height = 'auto';
+            setTimeout(() => scan.notice.remove(), 5000);
+            this.announce(summary);
+
+            if (resume) {
+                video.play().catch(error => this.debug('Playback after safe start failed:', error));
+            }
+        };
+
+        analyzer.ignoreNextSeek = true;
+        video.addEventListener('seeked', reveal, { once: true, signal: analyzer.listeners.signal });
+        video.currentTime = scan.startTime;
+        // Reveal anyway should the player never finish seeking
+        setTimeout(reveal, 2000);
+    },
+
+    /**
+     * Drops an analyzer's safe start scan, stopping it and restoring the video if it is still running
+     * @param {Object} analyzer - The analyzer from createAnalyzer
+     */
+    cancelSafeStart(analyzer) {
+        const { video } = analyzer;
+        const scan = analyzer.safeStart;
+        if (!scan) return;
+
+        clearTimeout(scan.timeout);
+        this.cancelFrameCheck(scan.analyzer);
+        scan.analyzer.canvas.width = scan.analyzer.canvas.height = 0;
+        scan.notice.remove();
+        if (scan.state === 'scanning') {
+            video.muted = scan.restore.muted;
+            video.playbackRate = scan.restore.playbackRate;
+        }
+        if (scan.state !== 'done') {
+            video.style.opacity = scan.restore.opacity;
+        }
+        // Also stops a pending reveal
+        scan.state = 'cancelled';
+        analyzer.safeStart = null;
+    },
+
+    /**
+     * Summarises a finished safe start scan
+     * @param {Object} scan - The scan from runSafeStart
+     * @returns {string}
+     */
+    describeSafeStart(scan) {
+        if (scan.failed) {
+            return 'This video could not be checked for flashing. It is protected while it plays.';
+        }
+        if (scan.intervals.length === 0) {
+            const seconds = Math.round(scan.scannedTo - scan.startTime);
+            return `No flashing found in the ${scan.startTime > 0 ? 'next' : 'first'} ${seconds}s.`;
+        }
+        const ranges = scan.intervals.map(({ start, end }) =>
+            `${this.formatMediaTime(start)}\u2013${this.formatMediaTime(end)}`);
+        return `Flashing at ${ranges.join(', ')}.`;
+    },
+
+    /**
+     * Creates the notice covering a video during safe start, which shows the summary afterwards
+     * @param {HTMLVideoElement} video - The video element
+     * @returns {HTMLElement} The notice
+     */
+    createSafeStartNotice(video) {
+        const notice = document.createElement('div');
+        notice.className = 'flash-protection-safe-start';
+        notice.setAttribute('aria-hidden', 'true'); // Announced through the live region instead
+        notice.style.cssText = `position: absolute; z-index: 2147483647; pointer-events: none;
+            left: ${video.offsetLeft}px; top: ${video.offsetTop}px;
+            width: ${video.offsetWidth}px; height: ${video.offsetHeight}px;
+            box-sizing: border-box; padding: 12px; background: #000; color: #fff;
+            font: 16px system-ui, sans-serif; text-align: center;`;
+        notice.textContent = 'Checking for flashing\u2026';
+        video.parentElement.appendChild(notice);
+        return notice;
+    },
+
+    /**
+     * Adds a flashing interval to what is known about a video and updates its timeline markers
+     * @param {Object} analyzer - The analyzer from createAnalyzer
+     * @param {{start: number, end: number, type: string, flashes: number}} interval - Times in seconds
+     */
+    recordFlashInterval(analyzer, interval) {
+        analyzer.flashIntervals = LookAhead.mergeInterval(analyzer.flashIntervals,
+            { ...interval, closed: true }).intervals;
+
+        if (!analyzer.timeline) {
+            analyzer.timeline = FlashTimeline.create(analyzer.video);
+        }
+        FlashTimeline.update(analyzer.timeline, analyzer.flashIntervals);
+        this.updateWarningTrack(analyzer);
+    },
+
+    /**
+     * Returns the detected and warned segments of a video, merged where they overlap
+     * @param {Object} analyzer - The analyzer from createAnalyzer
+     * @returns {Array<{start: number, end: number, type: string}>} Times in seconds, sorted
+     */
+    getWarningSegments(analyzer) {
+        return [...analyzer.flashIntervals, ...analyzer.warnings]
+            .map(({ start, end, type }) => ({ start, end, type }))
+            .sort((a, b) => a.start - b.start)
+            .reduce((segments, segment) => {
+                const last = segments[segments.length - 1];
+                if (last && segment.start <= last.end) {
+                    last.end = Math.max(last.end, segment.end);
+                    last.type = last.type === 'red' || segment.type === 'red' ? 'red' : 'luminance';
+                } else {
+                    segments.push(segment);
+                }
+                return segments;
+            }, []);
+    },
+
+    /**
+     * Rewrites the warning caption track of a video, adding it on the first known segment
+     * @param {Object} analyzer - The analyzer from createAnalyzer
+     */
+    updateWarningTrack(analyzer) {
+        const segments = this.getWarningSegments(analyzer);
+        if (!analyzer.warningTrack) {
+            if (segments.length === 0) return;
+            analyzer.warningTrack = WarningTrack.create(analyzer.video);
+        }
+        WarningTrack.update(analyzer.warningTrack, segments);
+    },
+
+    /**
+     * Writes the warning cues of the video with the most known segments as WebVTT, for the popup
+     * @returns {{success: boolean, vtt?: string, filename?: string, segments?: number}}
+     */
+    exportWarningTrack() {
+        let best = null;
+        this.state.analyzers.forEach(analyzer => {
+            const segments = this.getWarningSegments(analyzer);
+            if (segments.length > 0 && (!best || segments.length > best.segments.length)) {
+                best = { analyzer, segments };
+            }
+        });
+        if (!best) {
+            return { success: false, segments: 0 };
+        }
+
+        const videoId = this.getVideoId(best.analyzer.video);
+        return {
+            success: true,
+            vtt: WarningTrack.toVtt(best.segments),
+            filename: `flash-warnings-${videoId || this.getSiteKey()}.vtt`,
+            segments: best.segments.length
+        };
+    },
+
+    /**
+     * Seeks the video past a known flashing interval it is about to enter, found
+     * by the look-ahead scan or by safe start. The video lands half the merge
+     * gap after the last detection, the reactive analysis covers anything left.
+     * @param {Object} analyzer - The analyzer from createAnalyzer
+     * @param {number} mediaTime - Position of the current frame in seconds
+     * @returns {boolean} True when the video was seeked
+     */
+    skipKnownFlashing(analyzer, mediaTime) {
+        const { video, scanner, safeStart } = analyzer;
+        if (video.seeking) return false;
+
+        const lead = 2 / this.config.frameSampleRate;
+        const scanned = scanner ? LookAhead.findInterval(scanner.intervals, mediaTime, lead) : null;
+        const interval = scanned || (safeStart?.state === 'done'
+            ? LookAhead.findInterval(safeStart.intervals, mediaTime, lead)
+            : null);
+        if (!interval) return false;
+
+        analyzer.ignoreNextSeek = true;
+        video.currentTime = Math.min(video.duration || Infinity, interval.end + LookAhead.MERGE_GAP / 2);
+        this.recordStats(interval.type);
+        this.logFlashEvent(analyzer, {
+            source: scanned ? 'lookAhead' : 'safeStart',
+            type: interval.type,
+            mediaTime: interval.end,
+            startTime: interval.start,
+            metrics: { flashes: interval.flashes },
+            mitigation: { mode: 'skip', strength: null }
+        });
+        this.announce(`${interval.type === 'red' ? 'Red flashing' : 'Flashing'} skipped from ` +
+            `${this.formatMediaTime(interval.start)} to ${this.formatMediaTime(interval.end)}.`);
+        this.debug('Skipped known flashing', interval);
+        return true;
+    },
+
+    /**
+     * Schedules the next frame check, on the next decoded video frame where
+     * requestVideoFrameCallback is available and on the next display refresh otherwise
+     * @param {Object} analyzer - The analyzer from createAnalyzer
+     * @param {Function} checkFrame - The frame check callback
+     */
+    scheduleFrameCheck(analyzer, checkFrame) {
+        if (typeof analyzer.video.requestVideoFrameCallback === 'function') {
+            analyzer.frameCheckHandle = analyzer.video.requestVideoFrameCallback(checkFrame);
+            analyzer.frameCheckSource = 'video';
+        } else {
+            analyzer.frameCheckHandle = requestAnimationFrame(checkFrame);
+            analyzer.frameCheckSource = 'animation';
+        }
+    },
+
+    /**
+     * Cancels the pending frame check of an analyzer
+     * @param {Object} analyzer - The analyzer from createAnalyzer
+     */
+    cancelFrameCheck(analyzer) {
+        if (!analyzer.frameCheckHandle) return;
+
+        if (analyzer.frameCheckSource === 'video') {
+            analyzer.video.cancelVideoFrameCallback(analyzer.frameCheckHandle);
+        } else {
+            cancelAnimationFrame(analyzer.frameCheckHandle);
+        }
+        analyzer.frameCheckHandle = null;
+    },
+
+    /**
+     * Counts frames presented between two video frame callbacks, where a flash could hide
+     * @param {Object} analyzer - The analyzer from createAnalyzer
+     * @param {VideoFrameCallbackMetadata} metadata - Metadata of the current frame
+     */
+    trackDroppedFrames(analyzer, metadata) {
+        if (analyzer.lastPresentedFrames !== null) {
+            const missed = metadata.presentedFrames - analyzer.lastPresentedFrames - 1;
+            if (missed > 0) {
+                analyzer.droppedFrames += missed;
+                this.debug(`${missed} frames missed before ${metadata.mediaTime.toFixed(3)}s`);
+            }
+        }
+        analyzer.lastPresentedFrames = metadata.presentedFrames;
+    },
+
+    /**
+     * Analyzes the current frame of an analyzer, in the worker when one is
+     * running, and applies the flash rules to the result
+     * @param {Object} analyzer - The analyzer from createAnalyzer
+     * @param {DOMHighResTimeStamp} timestamp - Time of the sample
+     * @param {number} mediaTime - Position of the frame in the video in seconds
+     * @returns {Promise<void>}
+     */
+    async processFrame(analyzer, timestamp, mediaTime) {
+        const { video } = analyzer;
+        const metrics = this.state.worker
+            ? await this.analyzeFrameInWorker(analyzer)
+            : this.analyzeFrame(analyzer);
+
+        // The video may have been removed while the worker was busy
+        if (this.state.analyzers.get(video) !== analyzer) return;
+
+        const detection = this.detectFlashes(analyzer, metrics, timestamp, this.getScreenShare(video));
+        if (detection) {
+            detection.mediaTime = mediaTime;
+            detection.startTime = Math.max(0, mediaTime - (timestamp - detection.startedAt) / 1000 * video.playbackRate);
+            this.debug(`Flashing at ${mediaTime.toFixed(3)}s of the video, started at ${detection.startTime.toFixed(3)}s`);
+            this.showDebugRegion(video, detection);
+            this.recordFlashInterval(analyzer, {
+                start: detection.startTime,
+                end: mediaTime,
+                type: detection.type,
+                flashes: detection.flashes
+            });
+            this.triggerMitigation(video, detection);
+            this.logFlashEvent(analyzer, {
+                source: 'playback',
+                type: detection.type,
+                mediaTime,
+                startTime: detection.startTime,
+                metrics: {
+                    flashes: detection.flashes,
+                    area: detection.area,
+                    screenShare: this.getScreenShare(video),
+                    values: detection.values
+                },
+                mitigation: { mode: analyzer.mitigation.mode, strength: this.config.overlayOpacity }
+            });
+        }
+    },
+
+    /**
+     * Sends a flash event to the background event log
+     * @param {Object} analyzer - The analyzer from createAnalyzer
+     * @param {Object} event - What was detected, where in the video and how it was mitigated
+     */
+    logFlashEvent(analyzer, event) {
+        this.state.connection.notify('flashEvent', {
+            event: {
+                ...event,
+                pageUrl: window.location.href,
+                videoId: this.getVideoId(analyzer.video),
+                timestamp: Date.now()
+            }
+        }).catch(error => this.debug('Flash event not logged:', error));
+    },
+
+    /**
+     * Returns the site part of the page's host name used to key warnings
+     * @returns {string} e.g. 'youtube.com' for www.youtube.com
+     */
+    getSiteKey() {
+        return window.location.hostname.toLowerCase().replace(/^(www|m)\./, '');
+    },
+
+    /**
+     * Loads the warned segments of the video on the page from an imported warnings manifest
+     * @param {Object} analyzer - The analyzer from createAnalyzer
+     */
+    loadFlashWarnings(analyzer) {
+        const videoId = this.getVideoId(analyzer.video);
+        analyzer.warnings = [];
+        analyzer.activeWarning = null;
+        if (!videoId) {
+            this.updateWarningTrack(analyzer);
+            return;
+        }
+
+        chrome.storage.local.get({ flashWarnings: {} }, ({ flashWarnings }) => {
+            analyzer.warnings = flashWarnings[`${this.getSiteKey()}/${videoId}`] || [];
+            if (analyzer.warnings.length > 0) {
+                this.debug(`${analyzer.warnings.length} warned segments for this video`);
+            }
+            this.updateWarningTrack(analyzer);
+        });
+    },
+
+    /**
+     * Mitigates a warned segment from just before it starts until it ends,
+     * without waiting for the flashing to be detected
+     * @param {Object} analyzer - The analyzer from createAnalyzer
+     * @param {number} mediaTime - Position of the current frame in seconds
+     */
+    applyFlashWarnings(analyzer, mediaTime) {
+        const lead = 2 / this.config.frameSampleRate;
+        const segment = this.config.protectionEnabled && analyzer.warnings.find(({ start, end }) => start - lead <= mediaTime && mediaTime < end);
+        if (segment === analyzer.activeWarning) return;
+
+        analyzer.activeWarning = segment || null;
+        if (!segment) return;
+
+        // Pausing needs a detection to offer its choices, warned segments are darkened instead
+        const configured = this.config.mitigationMode;
+        const mode = configured === 'pause' ? 'blackout' : configured;
+        const { label } = MITIGATION_MODES[mode] || MITIGATION_MODES.blackout;
+        const hold = (segment.end - mediaTime) * 1000 / (analyzer.video.playbackRate || 1);
+        this.startMitigation(analyzer, mode, { hold });
+        this.announce(`Known ${segment.severity} ${segment.type === 'red' ? 'red flashing' : 'flashing'} until ` +
+            `${this.formatMediaTime(segment.end)}. ${label}.`);
+    },
+
+    /**
+     * Returns the site's own ID of the video playing on the page, where the URL carries one.
+     * The URL only names the main player, so other videos such as previews and ads get null.
+     * @param {HTMLVideoElement} video - The video element
+     * @returns {string|null} e.g. the YouTube video ID
+     */
+    getVideoId(video) {
+        if (!this.isMainVideo(video)) return null;
+
+        const { hostname, pathname, searchParams } = new URL(window.location.href);
+        if (hostname.includes('youtube.com')) {
+            return searchParams.get('v') || pathname.match(/^\/(?:shorts|embed|live)\/([\w-]+)/)?.[1] || null;
+        }
+        if (hostname.includes('netflix.com')) {
+            return pathname.match(/^\/watch\/(\d+)/)?.[1] || null;
+        }
+        if (hostname.includes('amazon.')) {
+            return pathname.match(/\/(?:dp|detail)\/(\w+)/)?.[1] || null;
+        }
+        return null;
+    },
+
+    /**
+     * Checks whether a video is the page's main player, the largest of the protected videos
+     * @param {HTMLVideoElement} video - The video element
+     * @returns {boolean}
+     */
+    isMainVideo(video) {
+        const area = element => {
+            const { width, height } = element.getBoundingClientRect();
+            return width * height;
+        };
+        const size = area(video);
+        if (size === 0) return false;
+        return Array.from(this.state.analyzers.keys()).every(other => other === video || area(other) <= size);
+    },
+
+    /**
+     * Returns the size frames are downscaled to before analysis
+     * @param {HTMLVideoElement} video - The video element
+     * @returns {{width: number, height: number}}
      */
+    getSampleSize(video) {
+        const sampleSize = 4; // Sample every 4th pixel for performance
+        return {
+            width: Math.max(1, Math.floor(video.videoWidth / sampleSize)),
+            height: Math.max(1, Math.floor(video.videoHeight / sampleSize))
+        };
+    },
 
-    analyzeBrightness(video) {
-        if (!this.config.protectionEnabled) return 0;
+    /**
+     * Analyzes the current frame of the analyzer's video on a grid of cells on the main thread
+     * @param {Object} analyzer - The analyzer from createAnalyzer
+     * @returns {{cells: Array<{luminance: number, redShare: number}>}} See FrameMetrics.analyzePixels
+     */
+
+    analyzeFrame(analyzer) {
+        const { video, canvas, context } = analyzer;
+        const { gridColumns, gridRows } = this.config;
+        if (!this.config.protectionEnabled) {
+            return FrameMetrics.empty(gridColumns * gridRows);
+        }
 
         // Use current sensitivity for threshold adjustment 
         // TASK 233: adjustedThreshold is declared but value is never read
         const adjustedThreshold = this.state.currentSensitivity * (this.config.protectionLevel / 3);
 
-        const { canvas, context } = this.state;
-        const sampleSize = 4; // Sample every 4th pixel for performance
+        // Resizing clears the canvas, so only do it when the video size changes
+        const { width, height } = this.getSampleSize(video);
+        if (canvas.width !== width || canvas.height !== height) {
+            canvas.width = width;
+            canvas.height = height;
+        }
+
+        context.drawImage(video, 0, 0, width, height);
+        const imageData = context.getImageData(0, 0, width, height).data;
+
+        return FrameMetrics.analyzePixels(imageData, width, height, gridColumns, gridRows);
+    },
+
+    /**
+     * Captures the current frame of the analyzer's video as a transferable frame
+     * and has the analysis worker compute its metrics
+     * @param {Object} analyzer - The analyzer from createAnalyzer
+     * @returns {Promise<{cells: Array<{luminance: number, redShare: number}>}>}
+     */
+    async analyzeFrameInWorker(analyzer) {
+        const { video } = analyzer;
+        const { gridColumns, gridRows } = this.config;
+        if (!this.config.protectionEnabled) {
+            return FrameMetrics.empty(gridColumns * gridRows);
+        }
+
+        const { width, height } = this.getSampleSize(video);
+        const frame = typeof createImageBitmap === 'function'
+            ? await createImageBitmap(video, { resizeWidth: width, resizeHeight: height, resizeQuality: 'low' })
+            : new VideoFrame(video);
 
-        canvas.width = video.videoWidth / sampleSize;
-        canvas.height = video.videoHeight / sampleSize;
+        return this.requestAnalysis({ frame, width, height, gridColumns, gridRows }, [frame]);
+    },
 
-        context.drawImage(video, 0, 0, canvas.width, canvas.height);
-        const imageData = context.getImageData(0, 0, canvas.width, canvas.height).data;
+    /**
+     * Starts the analysis worker. Content scripts cannot start workers from
+     * extension URLs, so the worker is built as a blob from the packaged
+     * sources. Frames are analyzed on the main thread when workers,
+     * OffscreenCanvas or transferable frames are unavailable, or the page's
+     * CSP blocks blob workers.
+     * @returns {Promise<void>}
+     */
+    async startAnalysisWorker() {
+        if (typeof Worker === 'undefined' || typeof OffscreenCanvas === 'undefined' ||
+            (typeof createImageBitmap === 'undefined' && typeof VideoFrame === 'undefined')) {
+            this.debug('Analysis worker unavailable, analyzing frames on the main thread');
+            return;
+        }
+
+        try {
+            const sources = await Promise.all(['frame-metrics.js', 'analysis-worker.js'].map(file =>
+                fetch(chrome.runtime.getURL(file)).then(response => response.text())
+            ));
+            const url = URL.createObjectURL(new Blob([sources.join('\n')], { type: 'text/javascript' }));
+            const worker = new Worker(url);
+            URL.revokeObjectURL(url);
+
+            worker.onmessage = ({ data }) => this.handleWorkerMessage(data);
+            worker.onerror = (event) => {
+                this.debug('Analysis worker failed, analyzing frames on the main thread:', event.message);
+                this.stopAnalysisWorker();
+            };
+            this.state.worker = worker;
+            this.debug('Analysis worker started');
+        } catch (error) {
+            this.debug('Analysis worker blocked, analyzing frames on the main thread:', error);
+        }
+    },
 
-        let totalBrightness = 0;
-        for (let i = 0; i < imageData.length; i += 4) {
-            totalBrightness += (
-                imageData[i] * 0.2126 +
-                imageData[i + 1] * 0.7152 +
-                imageData[i + 2] * 0.0722
-            ) / 255;
+    /**
+     * Terminates the analysis worker and rejects its pending requests
+     */
+    stopAnalysisWorker() {
+        if (this.state.worker) {
+            this.state.worker.terminate();
+            this.state.worker = null;
         }
+        this.state.workerRequests.forEach(({ reject, timeout }) => {
+            clearTimeout(timeout);
+            reject(new Error('Analysis worker stopped'));
+        });
+        this.state.workerRequests.clear();
+    },
 
-        return totalBrightness / (imageData.length / 4);
+    /**
+     * Posts a frame to the analysis worker
+     * @param {Object} message - The frame and grid size
+     * @param {Transferable[]} transfer - Objects transferred to the worker
+     * @returns {Promise<Object>} The frame metrics
+     */
+    requestAnalysis(message, transfer) {
+        return new Promise((resolve, reject) => {
+            const id = ++this.state.workerRequestId;
+            const timeout = setTimeout(() => {
+                this.state.workerRequests.delete(id);
+                reject(new Error('Analysis timeout'));
+            }, 1000);
+
+            this.state.workerRequests.set(id, { resolve, reject, timeout });
+            this.state.worker.postMessage({ ...message, id }, transfer);
+        });
+    },
+
+    /**
+     * Resolves the pending request a worker message answers
+     * @param {Object} data - The worker message
+     * @param {number} data.id - Request id
+     * @param {Object} [data.metrics] - Frame metrics
+     * @param {string} [data.error] - Error message when the frame could not be analyzed
+     */
+    handleWorkerMessage({ id, metrics, error }) {
+        const request = this.state.workerRequests.get(id);
+        if (!request) return;
+
+        clearTimeout(request.timeout);
+        this.state.workerRequests.delete(id);
+        if (error) {
+            request.reject(new Error(error));
+        } else {
+            request.resolve(metrics);
+        }
     },
 
     updateActiveBrightness() {
-        if (this.state.activeVideos.size > 0) {
-            this.state.activeVideos.forEach(video => {
-                // Only update if video is currently playing
-                if (!video.paused && !video.ended) {
-                    const brightness = this.analyzeBrightness(video);
-                    if (Math.abs(brightness - this.state.lastBrightness) > this.config.threshold) {
-                        this.triggerBlackout(video);
-                    }
-                }
+        // Transitions recorded under the previous delta no longer apply
+        this.state.analyzers.forEach(analyzer => {
+            analyzer.cellTrackers.forEach(({ luminance, red }) => {
+                luminance.transitions = [];
+                red.transitions = [];
             });
-        }
-        this.debug('Updated sensitivity applied to active videos');
+        });
+        this.debug('Updated sensitivity applied to active videos', this.getFlashRules());
     },
     /**
      * Resets the brightness of all active videos
      */
     resetAllVideos() {
-        this.state.activeVideos.forEach(video => {
+        this.state.analyzers.forEach((_analyzer, video) => {
             this.resetBrightness(video);
         });
     },
@@ -570,18 +2062,51 @@ const FlashProtector = {
      * @param {*} change - The change in sensitivity level
      */
     adjustSensitivity(change) {
-        const currentValue = Math.round((0.5 - this.config.threshold) / 0.08);
-        const newValue = Math.max(1, Math.min(5, currentValue + (change > 0 ? 1 : -1)));
-        const newThreshold = 0.5 - (newValue * 0.08);
+        const newValue = Settings.clamp('detection', 'sensitivity', this.config.sensitivityLevel + (change > 0 ? 1 : -1));
 
-        chrome.storage.sync.set({
-            threshold: newThreshold,
-            userPreferences: { lastSensitivity: newValue }
-        });
+        // The other detection settings are written back unchanged
+        Settings.load().then(settings => chrome.storage.sync.set({
+            detection: { ...settings.detection, sensitivity: newValue }
+        })).catch(error => console.error('Sensitivity not saved:', error));
 
-        this.announce(`Sensitivity ${change > 0 ? 'increased' : 'decreased'} to ${
-            ['Very Low', 'Low', 'Medium', 'High', 'Very High'][newValue - 1]
-        }`);
+        this.announce(`Sensitivity ${change > 0 ? 'increased' : 'decreased'} to ${Settings.SENSITIVITY_LABELS[newValue]}`);
+    },
+
+    /**
+     * Announces a newly chosen protection profile. Only the top frame and
+     * frames with protected videos announce it, not every embedded frame.
+     * @param {Object} settings - Complete settings, see Settings.load
+     * @param {string|null} [previous] - The profile that was active before
+     */
+    announceProfile(settings, previous) {
+        const { active } = settings.profiles;
+        if (!active || active === previous || (this.state.isIframe && this.state.analyzers.size === 0)) return;
+
+        const profile = Settings.listProfiles(settings).find(({ id }) => id === active);
+        this.announce(`${profile.name} profile active`);
+    },
+
+    /**
+     * Announces a change to the site rule of this frame's origin, to the same
+     * frames as announceProfile
+     * @param {Object} settings - Complete settings, see Settings.load
+     * @param {Object|null} previous - The rule applied before, see Settings.siteRuleFor
+     */
+    announceSiteRule(settings, previous) {
+        const rule = this.state.siteRule;
+        if (JSON.stringify(rule) === JSON.stringify(previous) ||
+            (this.state.isIframe && this.state.analyzers.size === 0)) return;
+
+        if (!rule) {
+            this.announce('Site rule removed, your own settings apply');
+        } else if (rule.action === 'disable') {
+            this.announce('Flash protection off on this site');
+        } else if (rule.action === 'strict') {
+            this.announce('Strictest flash protection on this site');
+        } else {
+            const profile = Settings.listProfiles(settings).find(({ id }) => id === rule.profile);
+            this.announce(`${profile.name} profile on this site`);
+        }
     },
 
     /**
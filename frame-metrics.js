@@ -0,0 +1,75 @@
+'use strict';
+/**
+ * @description Pixel metrics shared by the content script and the analysis worker.
+ * Loaded as a content script before content.js, and bundled into the worker
+ * blob by FlashProtector.startAnalysisWorker.
+ */
+
+/**
+ * Lookup table converting 8-bit sRGB channel values to linear light,
+ * relative luminance in WCAG is defined on linear values
+ * @type {Float32Array}
+ */
+const SRGB_TO_LINEAR = new Float32Array(256).map((_, i) => {
+    const c = i / 255;
+    return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+});
+
+/**
+ * WCAG definition of a saturated red pixel on linear values:
+ * R / (R + G + B) >= 0.8 and (R - G - B) * 320 >= 20
+ */
+const RED_RATIO_MIN = 0.8;
+const RED_VALUE_MIN = 20;
+
+const FrameMetrics = {
+    /**
+     * Returns metrics for a grid with no picture, used while protection is disabled
+     * @param {number} cellCount - Number of grid cells
+     * @returns {{cells: Array<{luminance: number, redShare: number}>}}
+     */
+    empty(cellCount) {
+        return { cells: Array.from({ length: cellCount }, () => ({ luminance: 0, redShare: 0 })) };
+    },
+
+    /**
+     * Computes the average relative luminance (0-1) and the share of saturated
+     * red pixels (0-1) of each grid cell
+     * @param {Uint8ClampedArray} imageData - RGBA pixel data
+     * @param {number} width - Width of the pixel data
+     * @param {number} height - Height of the pixel data
+     * @param {number} gridColumns - Columns of the analysis grid
+     * @param {number} gridRows - Rows of the analysis grid
+     * @returns {{cells: Array<{luminance: number, redShare: number}>}} Cells ordered row by row
+     */
+    analyzePixels(imageData, width, height, gridColumns, gridRows) {
+        const cellCount = gridColumns * gridRows;
+        const brightness = new Float64Array(cellCount);
+        const redPixels = new Uint32Array(cellCount);
+        const pixels = new Uint32Array(cellCount);
+
+        for (let y = 0; y < height; y++) {
+            const rowOffset = Math.floor(y * gridRows / height) * gridColumns;
+            for (let x = 0; x < width; x++) {
+                const i = (y * width + x) * 4;
+                const cell = rowOffset + Math.floor(x * gridColumns / width);
+                const r = SRGB_TO_LINEAR[imageData[i]];
+                const g = SRGB_TO_LINEAR[imageData[i + 1]];
+                const b = SRGB_TO_LINEAR[imageData[i + 2]];
+
+                brightness[cell] += r * 0.2126 + g * 0.7152 + b * 0.0722;
+                if (r >= RED_RATIO_MIN * (r + g + b) && (r - g - b) * 320 >= RED_VALUE_MIN) {
+                    redPixels[cell]++;
+                }
+                pixels[cell]++;
+            }
+        }
+
+        return {
+            cells: Array.from({ length: cellCount }, (_, cell) => ({
+                luminance: pixels[cell] ? brightness[cell] / pixels[cell] : 0,
+                redShare: pixels[cell] ? redPixels[cell] / pixels[cell] : 0
+            }))
+        };
+    }
+};
@@ -0,0 +1,290 @@
+'use strict';
+/**
+ * @description Look-ahead scanner. A hidden, muted clone of a video decodes
+ * ahead of the playhead so flashing intervals are known before they are
+ * reached, and the visible player can be seeked past them. Only works for
+ * sources that can be opened twice and read, see canScan.
+ */
+const LookAhead = {
+    /**
+     * Playback rate of the clone. Frames are sampled once per display refresh,
+     * so faster rates sample fewer frames of each second of video
+     * @type {number}
+     */
+    SCAN_RATE: 2,
+
+    /**
+     * Detections less than this many seconds apart belong to the same interval
+     * @type {number}
+     */
+    MERGE_GAP: 1,
+
+    /**
+     * Time the clone may take to load before scanning is given up, in miliseconds
+     * @type {number}
+     */
+    LOAD_TIMEOUT: 10000,
+
+    /**
+     * Checks whether a video's source can be opened by a clone. MediaSource
+     * streams (blob: URLs) belong to the page's player and cannot be reopened.
+     * @param {HTMLVideoElement} video - The video element
+     * @returns {boolean}
+     */
+    canScan(video) {
+        const src = video.currentSrc;
+        return Boolean(src) && !src.startsWith('blob:') && SafeRender.isReadable(video);
+    },
+
+    /**
+     * Creates a scanner for a video
+     * @param {HTMLVideoElement} video - The visible video element
+     * @param {Object} options
+     * @param {number} options.aheadSeconds - How far ahead of the playhead the clone decodes
+     * @param {Object} hooks
+     * @param {function(HTMLVideoElement, number): Promise<Object|null>} hooks.analyze - Analyzes the
+     *        clone's current frame at a media time, resolves with a detection or null
+     * @param {function(): void} hooks.restart - Called when scanning restarts at another position
+     * @param {function(Object): void} [hooks.onInterval] - Called when an interval is added or grows
+     * @param {function(string, Error): void} [hooks.onError] - Called with a description when the
+     *        clone cannot play or a frame cannot be analyzed, which may repeat for every frame
+     * @returns {Object} The scanner
+     */
+    create(video, options, hooks) {
+        const clone = document.createElement('video');
+        clone.className = 'flash-protection-scanner';
+        clone.setAttribute('aria-hidden', 'true');
+        clone.muted = true;
+        clone.playsInline = true;
+        clone.preload = 'auto';
+        clone.crossOrigin = video.crossOrigin;
+        // Kept in the viewport but invisible, some browsers stop decoding offscreen videos
+        clone.style.cssText = 'position: fixed; left: 0; top: 0; width: 16px; height: 9px; ' +
+            'opacity: 0; pointer-events: none;';
+
+        return {
+            video,
+            clone,
+            options,
+            hooks,
+            intervals: [],          // Flashing intervals in seconds, { start, end, type, flashes, closed }, sorted
+            scanFrom: 0,            // Media time the current scan started at
+            scannedTo: 0,           // Media time analyzed so far
+            run: 0,                 // Counts restarts, results of earlier runs are dropped
+            frameHandle: null,
+            busy: false,
+            listeners: null,
+            active: false
+        };
+    },
+
+    /**
+     * Loads the clone and starts scanning from the visible video's position
+     * @param {Object} scanner - The scanner from create
+     * @returns {Promise<boolean>} False when the source cannot be scanned
+     */
+    async start(scanner) {
+        const { video, clone } = scanner;
+        if (scanner.active) return true;
+        if (typeof clone.requestVideoFrameCallback !== 'function' || !this.canScan(video)) {
+            return false;
+        }
+
+        scanner.active = true;
+        scanner.listeners = new AbortController();
+        const { signal } = scanner.listeners;
+
+        clone.src = video.currentSrc;
+        document.body.appendChild(clone);
+
+        const loaded = await new Promise(resolve => {
+            const timeout = setTimeout(() => resolve(false), this.LOAD_TIMEOUT);
+            clone.addEventListener('loadeddata', () => {
+                clearTimeout(timeout);
+                resolve(true);
+            }, { once: true, signal });
+            clone.addEventListener('error', () => {
+                clearTimeout(timeout);
+                resolve(false);
+            }, { once: true, signal });
+        });
+
+        // The clone may load from a server that refuses CORS even though the original could be read
+        if (!scanner.active || !loaded || !SafeRender.isReadable(clone)) {
+            this.stop(scanner);
+            return false;
+        }
+
+        // Keep the clone ahead of the playhead without running away from it
+        video.addEventListener('timeupdate', () => this.pace(scanner), { signal });
+        clone.addEventListener('ended', () => {
+            scanner.scannedTo = clone.duration;
+            scanner.intervals.forEach(interval => {
+                interval.closed = true;
+            });
+        }, { signal });
+
+        const onFrame = (_now, metadata) => {
+            if (!scanner.active) return;
+            this.scan(scanner, metadata.mediaTime);
+            scanner.frameHandle = clone.requestVideoFrameCallback(onFrame);
+        };
+        scanner.frameHandle = clone.requestVideoFrameCallback(onFrame);
+
+        this.restartAt(scanner, video.currentTime);
+        return true;
+    },
+
+    /**
+     * Stops scanning and unloads the clone. Known intervals are kept.
+     * @param {Object} scanner - The scanner from create
+     */
+    stop(scanner) {
+        if (!scanner.active) return;
+        scanner.active = false;
+
+        const { clone } = scanner;
+        if (scanner.frameHandle !== null) {
+            clone.cancelVideoFrameCallback(scanner.frameHandle);
+            scanner.frameHandle = null;
+        }
+        scanner.listeners.abort();
+        clone.pause();
+        clone.removeAttribute('src');
+        clone.load();
+        clone.remove();
+    },
+
+    /**
+     * Moves scanning to a new position of the visible video, used after seeks.
+     * Positions within the range already scanned carry on where scanning is.
+     * @param {Object} scanner - The scanner from create
+     * @param {number} time - The new position in seconds
+     */
+    seek(scanner, time) {
+        if (!scanner.active) return;
+        if (time < scanner.scanFrom || time > scanner.scannedTo) {
+            this.restartAt(scanner, time);
+        }
+    },
+
+    /**
+     * Restarts scanning of the clone at a media time
+     * @param {Object} scanner - The scanner from create
+     * @param {number} time - Media time in seconds
+     */
+    restartAt(scanner, time) {
+        const { clone } = scanner;
+        // Intervals still growing when scanning moved away are found again when scanned
+        scanner.intervals = scanner.intervals.filter(interval => interval.closed);
+        scanner.scanFrom = scanner.scannedTo = time;
+        scanner.run++;
+        scanner.hooks.restart();
+        clone.currentTime = time;
+        clone.playbackRate = this.SCAN_RATE;
+        this.pace(scanner);
+    },
+
+    /**
+     * Plays the clone while it is less than aheadSeconds ahead of the playhead and pauses it otherwise
+     * @param {Object} scanner - The scanner from create
+     */
+    pace(scanner) {
+        const { video, clone, options } = scanner;
+        if (!scanner.active || clone.ended) return;
+
+        const ahead = scanner.scannedTo - video.currentTime;
+        if (ahead >= options.aheadSeconds) {
+            clone.pause();
+        } else if (clone.paused) {
+            clone.play().catch(error => scanner.hooks.onError?.('Look-ahead scan stalled:', error));
+        }
+    },
+
+    /**
+     * Analyzes a frame of the clone and records flashing in the interval map
+     * @param {Object} scanner - The scanner from create
+     * @param {number} mediaTime - Position of the frame in seconds
+     */
+    scan(scanner, mediaTime) {
+        // Frames arriving while the previous one is analyzed are skipped, as on the visible video
+        if (scanner.busy) return;
+        scanner.busy = true;
+        const { run } = scanner;
+
+        scanner.hooks.analyze(scanner.clone, mediaTime).then(detection => {
+            if (!scanner.active || scanner.run !== run) return;
+            scanner.scannedTo = Math.max(scanner.scannedTo, mediaTime);
+            if (detection) {
+                this.addInterval(scanner, {
+                    start: detection.startTime,
+                    end: mediaTime,
+                    type: detection.type,
+                    flashes: detection.flashes,
+                    closed: false
+                });
+            }
+            // Flashing has ended once scanning is past an interval by more than the merge gap
+            scanner.intervals.forEach(interval => {
+                interval.closed = interval.closed || scanner.scannedTo >= interval.end + this.MERGE_GAP;
+            });
+            this.pace(scanner);
+        }).catch(error => {
+            scanner.hooks.onError?.('Look-ahead analysis failed:', error);
+        }).finally(() => {
+            scanner.busy = false;
+        });
+    },
+
+    /**
+     * Adds a flashing interval to the scanner's map
+     * @param {Object} scanner - The scanner from create
+     * @param {{start: number, end: number, type: string, flashes: number, closed: boolean}} interval - Times in seconds
+     */
+    addInterval(scanner, interval) {
+        const { intervals, merged } = this.mergeInterval(scanner.intervals, interval);
+        scanner.intervals = intervals;
+        scanner.hooks.onInterval?.(merged);
+    },
+
+    /**
+     * Merges a flashing interval into a list, joining it with intervals it overlaps or nearly touches
+     * @param {Object[]} intervals - Intervals sorted by start
+     * @param {{start: number, end: number, type: string, flashes: number, closed: boolean}} interval - Times in seconds
+     * @returns {{intervals: Object[], merged: Object}} The new sorted list and the interval as merged
+     */
+    mergeInterval(intervals, interval) {
+        let merged = { ...interval };
+        const kept = [];
+        intervals.forEach(existing => {
+            if (existing.start <= merged.end + this.MERGE_GAP && merged.start <= existing.end + this.MERGE_GAP) {
+                merged = {
+                    start: Math.min(existing.start, merged.start),
+                    end: Math.max(existing.end, merged.end),
+                    type: existing.type === 'red' || merged.type === 'red' ? 'red' : 'luminance',
+                    flashes: Math.max(existing.flashes, merged.flashes),
+                    closed: false
+                };
+            } else {
+                kept.push(existing);
+            }
+        });
+
+        kept.push(merged);
+        return { intervals: kept.sort((a, b) => a.start - b.start), merged };
+    },
+
+    /**
+     * Finds the interval the playhead is about to enter or is in. Intervals are
+     * only returned once closed, while one may still grow the visible video is
+     * left to reactive mitigation.
+     * @param {Object[]} intervals - Intervals of a scanner or of safe start, see addInterval
+     * @param {number} time - Position of the visible video in seconds
+     * @param {number} lead - Seconds before an interval at which it counts as reached
+     * @returns {Object|null} The interval, see addInterval
+     */
+    findInterval(intervals, time, lead) {
+        return intervals.find(interval =>
+            interval.closed && interval.start - lead <= time && time < interval.end) || null;
+    }
+};
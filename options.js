@@ -0,0 +1,305 @@
+'use strict';
+/**
+ * @description Options page for the advanced detection and mitigation
+ * settings. Ranges and defaults come from the settings schema; the background
+ * script checks and saves each change, and content scripts apply it live.
+ */
+
+(function() {
+    /**
+     * Safely retrieves an element by its ID
+     * If the element is not found, a warning is logged
+     * and a dummy div element is returned
+     * @param {string} id - The ID of the element to retrieve
+     * @returns {HTMLElement} The retrieved element or a dummy div element
+     */
+    function safeGetElement(id) {
+        const element = document.getElementById(id);
+        if (!element) {
+            console.warn(`Element not found: ${id}`);
+            return document.createElement('div'); // Fallback to a dummy element
+        }
+        return element;
+    }
+
+    /**
+     * Settings shown on this page. `scale` converts the value shown to the
+     * stored one, e.g. seconds to miliseconds
+     * @type {Array.<{id: string, group: string, field: string, label: string, scale: number}>}
+     */
+    const FIELDS = Object.freeze([
+        { id: 'frame-sample-rate', group: 'detection', field: 'frameSampleRate', label: 'Checks per second', scale: 1 },
+        { id: 'overlay-opacity', group: 'mitigation', field: 'strength', label: 'Mitigation strength', scale: 0.01 },
+        { id: 'blackout-duration', group: 'mitigation', field: 'blackoutDuration', label: 'Manual blackout', scale: 1000 },
+        {
+            id: 'seek-protection-duration', group: 'detection', field: 'seekProtectionDuration',
+            label: 'Protection after seeking', scale: 1000
+        },
+        {
+            id: 'seek-fade-out-duration', group: 'detection', field: 'seekFadeOutDuration',
+            label: 'Fade back after seeking', scale: 1000
+        },
+        { id: 'debug-mode', group: 'userPreferences', field: 'debugMode', label: 'Debug logging', scale: 1 }
+    ]);
+
+    document.addEventListener('DOMContentLoaded', () => {
+        try {
+            /**
+             * Controls object containing references to the page's elements
+             * @type {Object}
+             * @property {Object.<string, HTMLElement>} inputs - The input of each field by ID
+             * @property {Object.<string, HTMLElement>} errors - The error message of each field by ID
+             * @property {HTMLElement} restoreDefaults - The restore defaults button
+             * @property {HTMLElement} siteRules - The list of site rules
+             * @property {HTMLElement} sitePattern - The new rule's site pattern input
+             * @property {HTMLElement} sitePatternError - The site pattern error message
+             * @property {HTMLElement} siteAction - The new rule's action select
+             * @property {HTMLElement} siteRuleAdd - The add rule button
+             * @property {HTMLElement} status - The status display element
+             */
+            const controls = Object.freeze({
+                inputs: Object.fromEntries(FIELDS.map(({ id }) => [id, safeGetElement(id)])),
+                errors: Object.fromEntries(FIELDS.map(({ id }) => [id, safeGetElement(`${id}-error`)])),
+                restoreDefaults: safeGetElement('restore-defaults'),
+                siteRules: safeGetElement('site-rules'),
+                sitePattern: safeGetElement('site-pattern'),
+                sitePatternError: safeGetElement('site-pattern-error'),
+                siteAction: safeGetElement('site-action'),
+                siteRuleAdd: safeGetElement('site-rule-add'),
+                status: safeGetElement('status')
+            });
+
+            /**
+             * Connection to the background script, see Protocol.connect
+             * @type {Object}
+             */
+            const connection = Protocol.connect('page', handleMessage);
+
+            /**
+             * Handles a notification from the background script. Statistics and
+             * tab status are sent to every extension page and not shown here.
+             * @param {string} type - The message type
+             * @returns {null}
+             */
+            function handleMessage(type) {
+                switch (type) {
+                    case 'statsUpdate':
+                    case 'tabStatusUpdate':
+                        return null;
+                    default:
+                        throw new Error(`Unhandled message ${type}`);
+                }
+            }
+
+            /**
+             * Settings as last loaded or saved, see Settings.load
+             * @type {Object}
+             */
+            let settings = Settings.defaults();
+
+            /**
+             * Converts a value between its shown and stored form
+             * @param {number} value - The value to convert
+             * @param {number} scale - The field's scale, or its inverse to convert back
+             * @returns {number}
+             */
+            function rescale(value, scale) {
+                // Rounded so e.g. 80% is stored as 0.8 and not 0.8000000000000002
+                return Math.round(value * scale * 1000) / 1000;
+            }
+
+            /**
+             * Shows the stored settings in the fields and sets each field's range from the schema
+             * @param {Object} loaded - Complete settings, see Settings.load
+             */
+            function updateControls(loaded) {
+                settings = loaded;
+                document.body.classList.toggle('high-contrast', settings.userPreferences.highContrast);
+
+                FIELDS.forEach(({ id, group, field, scale }) => {
+                    const input = controls.inputs[id];
+                    const spec = Settings.SCHEMA[group][field];
+                    if (spec.type === 'boolean') {
+                        input.checked = settings[group][field];
+                        return;
+                    }
+                    input.min = rescale(spec.min, 1 / scale);
+                    input.max = rescale(spec.max, 1 / scale);
+                    input.value = rescale(settings[group][field], 1 / scale);
+                    showError(id, '');
+                });
+                showSiteRules(settings);
+            }
+
+            /**
+             * Describes what a site rule does
+             * @param {Object} loaded - Complete settings, see Settings.load
+             * @param {{action: string, profile?: string}} rule - The rule
+             * @returns {string}
+             */
+            function describeSiteRule(loaded, { action, profile }) {
+                if (action !== 'profile') {
+                    return Settings.SITE_ACTIONS[action];
+                }
+                const found = Settings.listProfiles(loaded).find(({ id }) => id === profile);
+                return found ? `${found.name} profile` : 'Deleted profile, your own settings apply';
+            }
+
+            /**
+             * Lists the site rules, and the actions and profiles a new rule can use
+             * @param {Object} loaded - Complete settings, see Settings.load
+             */
+            function showSiteRules(loaded) {
+                const items = Object.entries(loaded.siteRules)
+                    .sort(([a], [b]) => a.localeCompare(b))
+                    .map(([pattern, rule]) => {
+                        const item = document.createElement('li');
+                        const text = document.createElement('span');
+                        text.textContent = `${pattern}: ${describeSiteRule(loaded, rule)}`;
+                        const remove = document.createElement('button');
+                        remove.type = 'button';
+                        remove.textContent = 'Remove';
+                        remove.setAttribute('aria-label', `Remove rule for ${pattern}`);
+                        remove.addEventListener('click', () => {
+                            const { [pattern]: removed, ...siteRules } = settings.siteRules;
+                            saveGroups({ siteRules }, `Rule for ${pattern} removed`);
+                            showSiteRules(settings);
+                        });
+                        item.append(text, remove);
+                        return item;
+                    });
+                if (items.length === 0) {
+                    const item = document.createElement('li');
+                    item.textContent = 'No site rules yet, every site uses your settings.';
+                    items.push(item);
+                }
+                controls.siteRules.replaceChildren(...items);
+
+                const selected = controls.siteAction.value;
+                const rules = [{ action: 'disable' }, { action: 'strict' },
+                    ...Settings.listProfiles(loaded).map(({ id }) => ({ action: 'profile', profile: id }))];
+                controls.siteAction.replaceChildren(...rules.map(rule => {
+                    const option = document.createElement('option');
+                    option.value = rule.profile ? `profile:${rule.profile}` : rule.action;
+                    option.textContent = describeSiteRule(loaded, rule);
+                    return option;
+                }));
+                controls.siteAction.value = selected || 'disable';
+                if (!controls.siteAction.value) {
+                    controls.siteAction.value = 'disable';
+                }
+            }
+
+            /**
+             * Shows or clears the error message of a field
+             * @param {string} id - The field ID
+             * @param {string} message - The message, empty to clear it
+             */
+            function showError(id, message) {
+                controls.errors[id].textContent = message;
+                controls.inputs[id].setAttribute('aria-invalid', String(Boolean(message)));
+            }
+
+            /**
+             * Saves settings groups through the background script, which checks
+             * them and passes them on to content scripts
+             * @param {Object} groups - Complete groups by name
+             * @param {string} message - Announced once saved
+             */
+            function saveGroups(groups, message) {
+                // Kept right away, so a field changed before this is saved builds on it
+                Object.assign(settings, groups);
+                connection.request('settingsUpdate', { settings: groups })
+                    .then(() => announceChange(message))
+                    .catch(error => {
+                        console.error('Settings update failed:', error);
+                        controls.status.textContent = 'Settings update failed. Please try again.';
+                    });
+            }
+
+            /**
+             * Checks a changed field and saves it if the value is allowed
+             * @param {Object} option - The field from FIELDS
+             */
+            function saveField({ id, group, field, label, scale }) {
+                const input = controls.inputs[id];
+                const spec = Settings.SCHEMA[group][field];
+                let value = input.checked;
+
+                if (spec.type === 'number') {
+                    value = input.value === '' ? NaN : rescale(Number(input.value), scale);
+                    if (!Settings.isValid(spec, value)) {
+                        showError(id, `Enter a number from ${input.min} to ${input.max}.`);
+                        return;
+                    }
+                    showError(id, '');
+                }
+
+                saveGroups({ [group]: { ...settings[group], [field]: value } },
+                    spec.type === 'boolean' ? `${label} ${value ? 'on' : 'off'}` : `${label} saved`);
+            }
+
+            FIELDS.forEach(option => {
+                controls.inputs[option.id].addEventListener('change', () => saveField(option));
+            });
+
+            controls.siteRuleAdd.addEventListener('click', () => {
+                const pattern = Settings.normalizeSitePattern(controls.sitePattern.value);
+                const existing = Object.keys(settings.siteRules);
+                let error = '';
+                if (!pattern) {
+                    error = 'Enter a domain such as example.com, *.example.com or an address such as https://example.com.';
+                } else if (!existing.includes(pattern) && existing.length >= Settings.MAX_SITE_RULES) {
+                    error = `Up to ${Settings.MAX_SITE_RULES} site rules can be kept, remove one first.`;
+                }
+                controls.sitePatternError.textContent = error;
+                controls.sitePattern.setAttribute('aria-invalid', String(Boolean(error)));
+                if (error) return;
+
+                const [action, profile] = controls.siteAction.value.split(':');
+                const siteRules = { ...settings.siteRules, [pattern]: profile ? { action, profile } : { action } };
+                saveGroups({ siteRules }, `Rule for ${pattern} ${existing.includes(pattern) ? 'replaced' : 'added'}`);
+                controls.sitePattern.value = '';
+                showSiteRules(settings);
+            });
+
+            // Only the fields on this page are restored, the popup's settings and site rules are kept
+            controls.restoreDefaults.addEventListener('click', () => {
+                const defaults = Settings.defaults();
+                const groups = {};
+                FIELDS.forEach(({ group, field }) => {
+                    groups[group] = { ...(groups[group] || settings[group]), [field]: defaults[group][field] };
+                });
+                saveGroups(groups, 'Defaults restored');
+                updateControls({ ...settings, ...groups });
+            });
+
+            // Changes made in the popup or another options page
+            chrome.storage.onChanged.addListener((changes, area) => {
+                if (area === 'sync' && Settings.KEYS.some(key => key in changes)) {
+                    Settings.load()
+                        .then(updateControls)
+                        .catch(error => console.error('Settings not loaded:', error));
+                }
+            });
+
+            Settings.load()
+                .then(updateControls)
+                .catch(error => {
+                    console.error('Settings not loaded:', error);
+                    controls.status.textContent = 'Settings could not be loaded. Please reload the page.';
+                });
+
+            const ANNOUNCE_CHANGE_TIMEOUT = 2000;
+
+            function announceChange(message) {
+                controls.status.textContent = message;
+                setTimeout(() => {
+                    controls.status.textContent = 'Options saved';
+                }, ANNOUNCE_CHANGE_TIMEOUT);
+            }
+        } catch (error) {
+            console.error('[Security] Options initialization error:', error);
+        }
+    });
+})();
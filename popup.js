@@ -24,12 +24,51 @@
     document.addEventListener('DOMContentLoaded', () => {
         try {
             /**
-             * @typedef {object} threshold - The threshold control element
+             * @typedef {object} profile - The profile select
+             * @property {HTMLElement} profileDescription - The active profile's description
+             * @property {HTMLElement} profileName - The new profile name input
+             * @property {HTMLElement} profileSave - The save as profile button
+             * @property {HTMLElement} profileDelete - The delete profile button
+             * @property {HTMLElement} siteName - The active tab's site in the site rule label
+             * @property {HTMLElement} siteRule - The site rule select
+             * @property {HTMLElement} siteRuleDescription - Where the site's rule comes from
+             * @property {HTMLElement} threshold - The threshold control element
              * @property {HTMLElement} highContrast - The high contrast control element
              * @property {HTMLElement} sensitivityDisplay - The sensitivity display element
              * @property {HTMLElement} stats - The status display element
              * @property {HTMLElement} flashCount - The flash count display element
+             * @property {HTMLElement} redFlashCount - The red flash count display element
              * @property {HTMLElement} lastDetection - The last detection display element
+             * @property {HTMLElement} todayCount - The detections of today display element
+             * @property {HTMLElement} tabCount - The detections in the active tab display element
+             * @property {HTMLElement} protectionStatus - The active tab's protection status display element
+             * @property {HTMLElement} mitigationMode - The mitigation mode select
+             * @property {HTMLElement} mitigationStrength - The mitigation strength control
+             * @property {HTMLElement} mitigationStrengthDisplay - The mitigation strength display element
+             * @property {HTMLElement} quietPeriod - The quiet period control
+             * @property {HTMLElement} safeRender - The safe render toggle
+             * @property {HTMLElement} renderDelay - The safe render delay control
+             * @property {HTMLElement} renderDelayDisplay - The safe render delay display element
+             * @property {HTMLElement} audioOffset - The audio sync offset control
+             * @property {HTMLElement} lookAhead - The look-ahead scan toggle
+             * @property {HTMLElement} lookAheadSeconds - The look-ahead distance control
+             * @property {HTMLElement} safeStart - The safe start toggle
+             * @property {HTMLElement} safeStartSeconds - The safe start scan length control
+             * @property {HTMLElement} exportJson - The full export button
+             * @property {HTMLElement} exportCsv - The event list export button
+             * @property {HTMLElement} importFile - The import file picker
+             * @property {HTMLElement} importMode - The merge or replace select
+             * @property {HTMLElement} importPreview - The import preview panel
+             * @property {HTMLElement} importChanges - The list of changes in the preview
+             * @property {HTMLElement} importApply - The import confirmation button
+             * @property {HTMLElement} importCancel - The import cancel button
+             * @property {HTMLElement} warningsFile - The warnings manifest file picker
+             * @property {HTMLElement} warningsExport - The detected segments export button
+             * @property {HTMLElement} warningsClear - The warnings clear button
+             * @property {HTMLElement} warningsSummary - The loaded warnings display element
+             * @property {HTMLElement} warningsVtt - The warning track download button
+             * @property {HTMLElement} blackoutSeconds - The manual blackout length in the shortcut list
+             * @property {HTMLElement} openOptions - The options page button
              * 
              */
             /**
@@ -37,223 +76,626 @@
              * @type {controls}
              */
             const controls = Object.freeze({
+                profile: safeGetElement('profile'),
+                profileDescription: safeGetElement('profileDescription'),
+                profileName: safeGetElement('profile-name'),
+                profileSave: safeGetElement('profile-save'),
+                profileDelete: safeGetElement('profile-delete'),
+                siteName: safeGetElement('siteName'),
+                siteRule: safeGetElement('site-rule'),
+                siteRuleDescription: safeGetElement('siteRuleDescription'),
                 threshold: safeGetElement('threshold'),
                 highContrast: safeGetElement('high-contrast'),
                 sensitivityDisplay: safeGetElement('sensitivityDisplay'),
                 status: safeGetElement('status'),
                 flashCount: safeGetElement('flashCount'),
+                redFlashCount: safeGetElement('redFlashCount'),
                 lastDetection: safeGetElement('lastDetection'),
-                
+                todayCount: safeGetElement('todayCount'),
+                tabCount: safeGetElement('tabCount'),
+                protectionStatus: safeGetElement('protectionStatus'),
+                mitigationMode: safeGetElement('mitigation-mode'),
+                mitigationStrength: safeGetElement('mitigation-strength'),
+                mitigationStrengthDisplay: safeGetElement('mitigationStrengthDisplay'),
+                quietPeriod: safeGetElement('quiet-period'),
+                safeRender: safeGetElement('safe-render'),
+                renderDelay: safeGetElement('render-delay'),
+                renderDelayDisplay: safeGetElement('renderDelayDisplay'),
+                audioOffset: safeGetElement('audio-offset'),
+                lookAhead: safeGetElement('look-ahead'),
+                lookAheadSeconds: safeGetElement('look-ahead-seconds'),
+                safeStart: safeGetElement('safe-start'),
+                safeStartSeconds: safeGetElement('safe-start-seconds'),
+                exportJson: safeGetElement('export-json'),
+                exportCsv: safeGetElement('export-csv'),
+                importFile: safeGetElement('import-file'),
+                importMode: safeGetElement('import-mode'),
+                importPreview: safeGetElement('import-preview'),
+                importChanges: safeGetElement('import-changes'),
+                importApply: safeGetElement('import-apply'),
+                importCancel: safeGetElement('import-cancel'),
+                warningsFile: safeGetElement('warnings-file'),
+                warningsExport: safeGetElement('warnings-export'),
+                warningsClear: safeGetElement('warnings-clear'),
+                warningsSummary: safeGetElement('warningsSummary'),
+                warningsVtt: safeGetElement('warnings-vtt'),
+                blackoutSeconds: safeGetElement('blackoutSeconds'),
+                openOptions: safeGetElement('open-options')
             });
 
             /**
-             * User preferences object
-             * @type {object}
-             * @property {boolean} highContrast - Indicates if hight contrast mode is enabled
-             * @property {Number} - lastSensitivity - The last Sensitivity setting
+             * Connection to the background script, see Protocol.connect
+             * @type {Object}
              */
-
-            let userPreferences = {
-                highContrast: false,
-                lastSensitivity: 3
-            };
+            const connection = Protocol.connect('page', handleMessage);
 
             /**
-             * Sensitivity labels mapping
-             * @type {Object.<number, string>}
+             * Handles a notification from the background script, see Protocol.MESSAGES
+             * @param {string} type - The message type
+             * @returns {null}
              */
+            function handleMessage(type) {
+                switch (type) {
+                    case 'statsUpdate':
+                    case 'tabStatusUpdate':
+                        refreshStats();
+                        return null;
+                    default:
+                        throw new Error(`Unhandled message ${type}`);
+                }
+            }
 
-            // Add sensitivity labels
-            const SENSITIVITY_LABELS = {
-                1: 'Very Low',
-                2: 'Low',
-                3: 'Medium',
-                4: 'High',
-                5: 'Very High'
-            };
+            /**
+             * Settings as last loaded or saved, groups are saved whole with the
+             * changed fields replaced, see Settings.SCHEMA
+             * @type {Object}
+             */
+            let settings = Settings.defaults();
 
             function getSensitivityLabel(value) {
-                return SENSITIVITY_LABELS[value] || SENSITIVITY_LABELS[userPreferences.lastSensitivity];
+                return Settings.SENSITIVITY_LABELS[value] || Settings.SENSITIVITY_LABELS[settings.detection.sensitivity];
             }
 
             // TASK 349: Fix initializeSettings function
 
             function initializeSettings() {
-                chrome.runtime.sendMessage({ type: 'recoveryRequest' }, response => {
-                    if (response?.success && response.settings) {
-                        updateControls(response.settings);
-                        updateStats(response.settings.stats);
-                    } else {
-                        // Fallback to default settings
-                        chrome.storage.sync.get({
-                            threshold: 0.25,
-                            stats: { flashCount: 0, lastDetection: null },
-                            userPreferences: {
-                                lastSensitivity: 3,
-                                highContrast: false
-                            }
-                        }, settings => {
-                            updateControls(settings);
-                            updateStats(settings.stats);
-                        });
-                    }
-                });
+                // Fallback to default settings
+                const loadDefaults = () => {
+                    Settings.load()
+                        .then(updateControls)
+                        .catch(error => console.error('Settings not loaded:', error));
+                };
+
+                connection.request('recoveryRequest')
+                    .then(({ settings: recovered }) => (recovered ? updateControls(recovered) : loadDefaults()))
+                    .catch(loadDefaults)
+                    .finally(refreshStats);
             }
 
             // Initialize settings with fixed protection level
-            chrome.storage.sync.get({
-                threshold: 0.25,
-                highContrast: false,
-                stats: { flashCount: 0, lastDetection: null },
-                userPreferences: {
-                    lastSensitivity: 3,
-                    highContrast: false
+            Settings.load()
+                .then(updateControls)
+                .catch(error => console.error('Settings not loaded:', error));
+            refreshStats();
+
+            // Changes from the options page or a keyboard shortcut, so groups are saved with current values
+            chrome.storage.onChanged.addListener((changes, area) => {
+                if (area === 'sync' && Settings.KEYS.some(key => key in changes)) {
+                    Settings.load()
+                        .then(updateControls)
+                        .catch(error => console.error('Settings not loaded:', error));
                 }
-            }, (settings) => {
-                userPreferences = settings.userPreferences;
-                updateControls(settings);
-                updateStats(settings.stats);
             });
 
-            // Live settings update
-            Object.keys(controls).forEach(key => {
-                const control = controls[key];
-                if (control && control.type === 'range') {
-                    control.addEventListener('input', updateSetting);
+            controls.openOptions.addEventListener('click', () => chrome.runtime.openOptionsPage());
+
+            /**
+             * Fills the profile select, marking the active profile when a setting was changed since
+             * @param {Object} loaded - Complete settings, see Settings.load
+             */
+            function showProfiles(loaded) {
+                const { active, custom } = loaded.profiles;
+                const matches = Settings.matchesProfile(loaded);
+                const options = Settings.listProfiles(loaded).map(({ id, name }) => {
+                    const option = document.createElement('option');
+                    option.value = id;
+                    option.textContent = id === active && !matches ? `${name} (changed)` : name;
+                    return option;
+                });
+                if (!active) {
+                    const option = document.createElement('option');
+                    option.value = '';
+                    option.textContent = 'Your own settings';
+                    options.unshift(option);
+                }
+                controls.profile.replaceChildren(...options);
+                controls.profile.value = active || '';
+
+                controls.profileDescription.textContent = Settings.PROFILES[active]?.description ||
+                    (active ? 'A profile you saved.' : 'No profile chosen.');
+                controls.profileDelete.disabled = !custom[active];
+            }
+
+            controls.profile.addEventListener('change', () => {
+                if (!controls.profile.value) return;
+                connection.request('profileApply', { id: controls.profile.value })
+                    .then(({ name }) => announceChange(`${name} profile active`))
+                    .catch(error => {
+                        console.error('Profile switch failed:', error);
+                        controls.status.textContent = 'Profile could not be applied. Please try again.';
+                    });
+            });
+
+            controls.profileSave.addEventListener('click', () => {
+                connection.request('profileSave', { name: controls.profileName.value })
+                    .then(({ name }) => {
+                        controls.profileName.value = '';
+                        announceChange(`Saved profile ${name}`);
+                    })
+                    .catch(error => {
+                        controls.status.textContent = `Profile not saved: ${error.message}`;
+                    });
+            });
+
+            controls.profileDelete.addEventListener('click', () => {
+                const name = controls.profile.selectedOptions[0]?.textContent;
+                connection.request('profileDelete', { id: controls.profile.value })
+                    .then(() => announceChange(`Deleted profile ${name}`))
+                    .catch(error => {
+                        controls.status.textContent = `Profile not deleted: ${error.message}`;
+                    });
+            });
+
+            /**
+             * The active tab's site, null on pages other than web pages
+             * @type {{origin: string, pattern: string}|null}
+             */
+            let site = null;
+
+            /**
+             * Returns the pattern a site rule made here is stored under: the origin
+             * when an origin rule already applies, as it comes before domain rules,
+             * otherwise the tab's domain without www, covering its subdomains
+             * @param {Object|null} rule - The rule applied now, see Settings.siteRuleFor
+             * @returns {string}
+             */
+            function siteRuleTarget(rule) {
+                return rule?.pattern.includes('://') ? rule.pattern : site.pattern;
+            }
+
+            /**
+             * Fills the site rule select with the rule that applies to the active tab
+             * @param {Object} loaded - Complete settings, see Settings.load
+             */
+            function showSiteRule(loaded) {
+                const option = (value, text) => {
+                    const element = document.createElement('option');
+                    element.value = value;
+                    element.textContent = text;
+                    return element;
+                };
+                controls.siteRule.replaceChildren(
+                    option('', 'Use my settings'),
+                    option('disable', Settings.SITE_ACTIONS.disable),
+                    option('strict', Settings.SITE_ACTIONS.strict),
+                    ...Settings.listProfiles(loaded).map(({ id, name }) => option(`profile:${id}`, `${name} profile`))
+                );
+
+                controls.siteRule.disabled = !site;
+                if (!site) {
+                    controls.siteName.textContent = 'this site';
+                    controls.siteRuleDescription.textContent = 'Site rules apply to web pages only.';
+                    return;
+                }
+
+                const rule = Settings.siteRuleFor(loaded, site.origin);
+                const target = siteRuleTarget(rule);
+                controls.siteName.textContent = target;
+                // Rules applying a deleted profile are ignored, see Settings.forSite
+                controls.siteRule.value = rule ? (rule.action === 'profile' ? `profile:${rule.profile}` : rule.action) : '';
+                if (!controls.siteRule.value) {
+                    controls.siteRule.value = '';
+                }
+
+                if (!rule) {
+                    controls.siteRuleDescription.textContent = 'Your own settings apply here.';
+                } else if (rule.pattern !== target) {
+                    controls.siteRuleDescription.textContent =
+                        `Set by the rule for ${rule.pattern}, which More Options can change.`;
+                } else if (rule.pattern.includes('://')) {
+                    controls.siteRuleDescription.textContent = 'Applies to this address only.';
+                } else {
+                    controls.siteRuleDescription.textContent = 'Applies here and on its subdomains.';
                 }
+            }
+
+            controls.siteRule.addEventListener('change', () => {
+                const rule = Settings.siteRuleFor(settings, site.origin);
+                const target = siteRuleTarget(rule);
+                const [action, profile] = controls.siteRule.value.split(':');
+                const { [target]: replaced, ...siteRules } = settings.siteRules;
+
+                if (!action && !replaced) {
+                    // Only a broader rule applies, which is left to the options page
+                    showSiteRule(settings);
+                    controls.status.textContent = `Change the rule for ${rule.pattern} in More Options`;
+                    return;
+                }
+                if (action) {
+                    siteRules[target] = profile ? { action, profile } : { action };
+                }
+                const label = controls.siteRule.selectedOptions[0]?.textContent;
+                connection.request('settingsUpdate', { settings: { siteRules } })
+                    .then(() => announceChange(`${label} on ${target}`))
+                    .catch(error => {
+                        controls.status.textContent = `Site rule not saved: ${error.message}`;
+                    });
+            });
+
+            chrome.tabs.query({ active: true, currentWindow: true }, ([tab]) => {
+                try {
+                    const url = new URL(tab?.url);
+                    const pattern = Settings.normalizeSitePattern(url.hostname.replace(/^www\./, ''));
+                    if (['http:', 'https:'].includes(url.protocol) && pattern) {
+                        site = { origin: url.origin, pattern };
+                    }
+                } catch (error) {
+                    // No URL without the tabs permission, or not a web page
+                }
+                showSiteRule(settings);
             });
 
+            // Live settings update
+            controls.threshold.addEventListener('input', updateSetting);
+
             // Applys high contrast mode with persistence
             controls.highContrast.addEventListener('change', (e) => {
                 const isHighContrast = e.target.checked;
                 document.body.classList.toggle('high-contrast', isHighContrast);
 
-                userPreferences.highContrast = isHighContrast;
+                settings.userPreferences = { ...settings.userPreferences, highContrast: isHighContrast };
 
-                // Saves to storage
-                chrome.storage.sync.set({ userPreferences });
+                // Saved by the background script, which passes the theme on to content scripts
+                connection.request('settingsUpdate', {
+                    settings: { userPreferences: settings.userPreferences }
+                }).catch(error => {
+                    console.error('Theme update failed:', error);
+                    controls.status.textContent = 'Settings update failed. Please try again.';
+                });
+            });
 
-                // Notify content script
-                chrome.tabs.query({active: true, currentWindow: true}, (tabs) => {
-                    chrome.tabs.sendMessage(tabs[0].id, {
-                        type: 'themeChange',
-                        highContrast: isHighContrast
+            /**
+             * Reads the mitigation controls and saves them, the background script passes them on to content scripts
+             */
+            function saveMitigation() {
+                const mitigation = {
+                    ...settings.mitigation,
+                    mode: controls.mitigationMode.value,
+                    strength: Settings.clamp('mitigation', 'strength', controls.mitigationStrength.value / 100),
+                    quietPeriod: Settings.clamp('mitigation', 'quietPeriod', controls.quietPeriod.value * 1000)
+                };
+                controls.quietPeriod.value = mitigation.quietPeriod / 1000;
+                settings.mitigation = mitigation;
+
+                connection.request('settingsUpdate', { settings: { mitigation } })
+                    .then(() => {
+                        const mode = controls.mitigationMode.selectedOptions[0]?.textContent || mitigation.mode;
+                        announceChange(`${mode} at ${Math.round(mitigation.strength * 100)}% strength`);
+                    })
+                    .catch(error => {
+                        console.error('Mitigation update failed:', error);
+                        controls.status.textContent = 'Settings update failed. Please try again.';
                     });
-                });
+            }
+
+            controls.mitigationMode.addEventListener('change', saveMitigation);
+            controls.mitigationStrength.addEventListener('input', () => {
+                controls.mitigationStrengthDisplay.textContent = `${controls.mitigationStrength.value}%`;
             });
+            controls.mitigationStrength.addEventListener('change', saveMitigation);
+            controls.quietPeriod.addEventListener('change', saveMitigation);
 
             /**
-             * Timeout for settings update debounce TODO: Review if needed
-             * @type {number|null}
+             * Reads the safe render controls and saves them, the background script passes them on to content scripts
              */
+            function saveSafeRender() {
+                const safeRender = {
+                    ...settings.safeRender,
+                    enabled: controls.safeRender.checked,
+                    delayFrames: Settings.clamp('safeRender', 'delayFrames', controls.renderDelay.value),
+                    audioSyncOffset: Settings.clamp('safeRender', 'audioSyncOffset', controls.audioOffset.value)
+                };
+                controls.audioOffset.value = safeRender.audioSyncOffset;
+                controls.renderDelayDisplay.textContent = safeRender.delayFrames;
+                settings.safeRender = safeRender;
+
+                connection.request('settingsUpdate', { settings: { safeRender } })
+                    .then(() => {
+                        announceChange(safeRender.enabled
+                            ? `Safe render on, ${safeRender.delayFrames} frame delay`
+                            : 'Safe render off');
+                    })
+                    .catch(error => {
+                        console.error('Safe render update failed:', error);
+                        controls.status.textContent = 'Settings update failed. Please try again.';
+                    });
+            }
 
-            let settingsUpdateTimeout = null;
+            controls.safeRender.addEventListener('change', saveSafeRender);
+            controls.renderDelay.addEventListener('input', () => {
+                controls.renderDelayDisplay.textContent = controls.renderDelay.value;
+            });
+            // Saved on release only, sync storage limits writes per minute
+            controls.renderDelay.addEventListener('change', saveSafeRender);
+            controls.audioOffset.addEventListener('change', saveSafeRender);
 
             /**
-             * Debounce delay for settings updates in miliseconds 
-             * @type {number}
-             * TASK 348: Fix unused value
+             * Reads the safe start controls and saves them, the background script passes them on to content scripts
              */
-            const DEBOUNCE_DELAY = 50; // 50ms debounce for settings updates
+            function saveSafeStart() {
+                const safeStart = {
+                    ...settings.safeStart,
+                    enabled: controls.safeStart.checked,
+                    seconds: Settings.clamp('safeStart', 'seconds', controls.safeStartSeconds.value)
+                };
+                controls.safeStartSeconds.value = safeStart.seconds;
+                settings.safeStart = safeStart;
+
+                connection.request('settingsUpdate', { settings: { safeStart } })
+                    .then(() => {
+                        announceChange(safeStart.enabled
+                            ? `Safe start on, checking the first ${safeStart.seconds} seconds`
+                            : 'Safe start off');
+                    })
+                    .catch(error => {
+                        console.error('Safe start update failed:', error);
+                        controls.status.textContent = 'Settings update failed. Please try again.';
+                    });
+            }
+
+            controls.safeStart.addEventListener('change', saveSafeStart);
+            controls.safeStartSeconds.addEventListener('change', saveSafeStart);
 
             /**
-             * Global debounce for all storage operations
-             * @type {number|null}
+             * Reads the look-ahead controls and saves them, the background script passes them on to content scripts
              */
-            let storageDebounceTimer = null;
+            function saveLookAhead() {
+                const lookAhead = {
+                    ...settings.lookAhead,
+                    enabled: controls.lookAhead.checked,
+                    aheadSeconds: Settings.clamp('lookAhead', 'aheadSeconds', controls.lookAheadSeconds.value)
+                };
+                controls.lookAheadSeconds.value = lookAhead.aheadSeconds;
+                settings.lookAhead = lookAhead;
+
+                connection.request('settingsUpdate', { settings: { lookAhead } })
+                    .then(() => {
+                        announceChange(lookAhead.enabled
+                            ? `Skipping known flashing, scanning ${lookAhead.aheadSeconds} seconds ahead`
+                            : 'Look-ahead scan off');
+                    })
+                    .catch(error => {
+                        console.error('Look-ahead update failed:', error);
+                        controls.status.textContent = 'Settings update failed. Please try again.';
+                    });
+            }
+
+            controls.lookAhead.addEventListener('change', saveLookAhead);
+            controls.lookAheadSeconds.addEventListener('change', saveLookAhead);
+
             /**
-             * Debounce delay for storage operations in miliseconds
-             * @type {number}
+             * Names of exported settings shown in the import preview
+             * @type {Object.<string, string>}
              */
-            const STORAGE_DEBOUNCE_DELAY = 2000; // 2 seconds between storage operations
+            const SETTING_NAMES = {
+                detection: 'Sensitivity and detection',
+                userPreferences: 'Interface preferences',
+                profiles: 'Profiles',
+                siteRules: 'Site rules',
+                mitigation: 'Mitigation',
+                safeRender: 'Safe render',
+                lookAhead: 'Look-ahead scan',
+                safeStart: 'Safe start'
+            };
+
             /**
-             * Object to store pending storage updates
-             * @type {Object}
+             * Asks the background script for an export and downloads it
+             * @param {string} type - The export request, 'exportData' or 'warningsExport'
+             * @param {Object} [payload] - The request fields, e.g. { format: 'csv' }
+             */
+            function exportData(type, payload) {
+                connection.request(type, payload)
+                    .then(({ filename, mimeType, content }) => {
+                        downloadFile(filename, mimeType, content);
+                        announceChange(`Exported ${filename}`);
+                    })
+                    .catch(error => {
+                        console.error('Export failed:', error);
+                        controls.status.textContent = 'Export failed. Please try again.';
+                    });
+            }
+
+            /**
+             * Saves text as a file through the browser's downloads
+             * @param {string} filename - Suggested file name
+             * @param {string} mimeType - MIME type of the content
+             * @param {string} content - File content
              */
-            let pendingStorageUpdates = {};
-            // Batch updates to storage with debounce
-            function batchStorageUpdate() {
-                if (Object.keys(pendingStorageUpdates).length === 0) return;
+            function downloadFile(filename, mimeType, content) {
+                const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+                const link = document.createElement('a');
+                link.href = url;
+                link.download = filename;
+                link.click();
+                setTimeout(() => URL.revokeObjectURL(url), 1000);
+            }
+
+            /**
+             * Bundle read from the import file, kept until the import is applied or cancelled
+             * @type {Object|null}
+             */
+            let pendingImport = null;
 
-                if (storageDebounceTimer) {
-                    clearTimeout(storageDebounceTimer);
+            /**
+             * Reads the chosen file and shows what importing it would change
+             */
+            async function previewImport() {
+                const [file] = controls.importFile.files;
+                if (!file) return;
+
+                try {
+                    pendingImport = JSON.parse(await file.text());
+                } catch (error) {
+                    pendingImport = null;
+                    controls.importPreview.hidden = true;
+                    controls.status.textContent = 'That file is not a valid export.';
+                    return;
                 }
 
-                storageDebounceTimer = setTimeout(() => {
-                    chrome.storage.sync.set(pendingStorageUpdates, () => {
-                        if (chrome.runtime.lastError) {
-                            console.error('Storage update failed:', chrome.runtime.lastError);
-                            // Retry once after delay
-                            setTimeout(() => {
-                                chrome.storage.sync.set(pendingStorageUpdates);
-                            }, 2000);
-                        }
-                        pendingStorageUpdates = {};
-                    });
-                }, STORAGE_DEBOUNCE_DELAY);
+                connection.request('importPreview', {
+                    bundle: pendingImport,
+                    mode: controls.importMode.value
+                }).then(({ preview }) => {
+                    const { settings, events, stats } = preview;
+                    const verbs = { added: 'Set', changed: 'Change', reset: 'Reset' };
+                    const changes = settings.map(({ key, change }) => `${verbs[change]} ${SETTING_NAMES[key] || key}`);
+                    changes.push(`Add ${events.added} detection events` +
+                        (events.duplicates ? `, skipping ${events.duplicates} already here` : ''));
+                    if (events.removed) {
+                        changes.push(`Remove ${events.removed} existing detection events`);
+                    }
+                    if (stats !== 'unchanged') {
+                        const statsVerbs = { added: 'Add to', replaced: 'Replace', reset: 'Reset' };
+                        changes.push(`${statsVerbs[stats]} statistics`);
+                    }
+
+                    controls.importChanges.replaceChildren(...changes.map(text => {
+                        const item = document.createElement('li');
+                        item.textContent = text;
+                        return item;
+                    }));
+                    controls.importPreview.hidden = false;
+                    announceChange(`Import preview ready, ${changes.length} changes`);
+                }).catch(error => {
+                    pendingImport = null;
+                    controls.importPreview.hidden = true;
+                    controls.status.textContent = `Import not possible: ${error.message}`;
+                });
             }
 
-            // Storage update queue to manange pending updates and process in chunks
-            const storageQueue = {
-                pending: new Map(),
-                processing: false,
-
-                /**
-                 * Adds a storage update to the queue and processes it 
-                 * @param {string} key - The key of the storage item
-                 * @param {*} value - The value of the storage element
-                 * @returns {Promise<void>}
-                 */
-
-                async update(key, value) {
-                    return new Promise((resolve, reject) => {
-                        this.pending.set(key, { value, resolve, reject });
-                        this.process();
-                    });
-                },
-
-                async process() {
-                    if (this.processing || this.pending.size === 0) return;
-                    this.processing = true;
-
-                    const CHUNK_SIZE = 10; 
-                    const entries = Array.from(this.pending.entries());
-                    this.pending.clear();
-
-                    for (let i = 0; i < entries.length; i += CHUNK_SIZE) {
-                        const chunk = entries.slice(i, i + CHUNK_SIZE);
-                        const batch = {};
-                        const callbacks = new Map();
-
-                        chunk.forEach(([key, item]) => {
-                            batch[key] = item.value;
-                            callbacks.set(key, { resolve: item.resolve, reject: item.reject });
-                        });
-
-                        try {
-                            await new Promise((resolve, reject) => {
-                                chrome.storage.sync.set(batch, () => {
-                                    if (chrome.runtime.lastError) {
-                                        reject(chrome.runtime.lastError);
-                                    } else {
-                                        resolve();
-                                    }
-                                });
-                            });
+            /**
+             * Clears a pending import and its preview
+             */
+            function cancelImport() {
+                pendingImport = null;
+                controls.importFile.value = '';
+                controls.importPreview.hidden = true;
+            }
 
-                            callbacks.forEach(({ resolve }) => resolve());
-                        } catch (error) {
-                            console.error('Storage update failed:', error);
-                            callbacks.forEach(({ reject }) => reject(error));
-                        }
-                    }
+            controls.exportJson.addEventListener('click', () => exportData('exportData', { format: 'json' }));
+            controls.exportCsv.addEventListener('click', () => exportData('exportData', { format: 'csv' }));
+            controls.importFile.addEventListener('change', previewImport);
+            controls.importMode.addEventListener('change', previewImport);
+            controls.importCancel.addEventListener('click', cancelImport);
+            controls.importApply.addEventListener('click', () => {
+                if (!pendingImport) return;
+                connection.request('importApply', {
+                    bundle: pendingImport,
+                    mode: controls.importMode.value
+                }, { timeout: 30000 }).then(() => {
+                    cancelImport();
+                    // Reload so every control shows the imported settings
+                    window.location.reload();
+                }).catch(error => {
+                    console.error('Import failed:', error);
+                    controls.status.textContent = 'Import failed. Please try again.';
+                });
+            });
 
-                    this.processing = false;
-                    if (this.pending.size > 0) {
-                        setTimeout(() => this.process(), 1000);
-                    }
+            /**
+             * Shows how many videos and segments the stored warnings cover
+             */
+            function showWarningsSummary() {
+                chrome.storage.local.get({ flashWarnings: {} }, ({ flashWarnings }) => {
+                    const videos = Object.values(flashWarnings);
+                    const segments = videos.reduce((total, list) => total + list.length, 0);
+                    controls.warningsSummary.textContent = videos.length
+                        ? `${segments} segments, ${videos.length} videos`
+                        : 'None loaded';
+                });
+            }
+
+            /**
+             * Loads the chosen warnings manifest, adding to the warnings already stored
+             */
+            async function loadWarnings() {
+                const [file] = controls.warningsFile.files;
+                if (!file) return;
+
+                let manifest;
+                try {
+                    manifest = JSON.parse(await file.text());
+                } catch (error) {
+                    controls.status.textContent = 'That file is not a valid warnings file.';
+                    return;
                 }
-            };
+
+                controls.warningsFile.value = '';
+                connection.request('warningsImport', { manifest, mode: 'merge' })
+                    .then(({ videos, segments }) => {
+                        showWarningsSummary();
+                        announceChange(`Loaded ${segments} warned segments for ${videos} videos`);
+                    })
+                    .catch(error => {
+                        controls.status.textContent = `Warnings not loaded: ${error.message}`;
+                    });
+            }
+
+            controls.warningsFile.addEventListener('change', loadWarnings);
+            controls.warningsExport.addEventListener('click', () => exportData('warningsExport'));
+            controls.warningsClear.addEventListener('click', () => {
+                connection.request('warningsClear')
+                    .then(() => {
+                        showWarningsSummary();
+                        announceChange('Flash warnings cleared');
+                    })
+                    .catch(error => console.error('Clearing warnings failed:', error));
+            });
+            showWarningsSummary();
+
+            /**
+             * Downloads the warning track of the current tab, taken by the
+             * background script from the frame with most known segments
+             */
+            function downloadWarningTrack() {
+                chrome.tabs.query({ active: true, currentWindow: true }, ([tab]) => {
+                    if (!tab) return;
+                    connection.request('warningTrackRequest', { tabId: tab.id })
+                        .then(track => {
+                            if (!track) {
+                                announceChange('No flashing known for videos on this page');
+                                return;
+                            }
+                            downloadFile(track.filename, 'text/vtt', track.vtt);
+                            announceChange(`Downloaded warning track with ${track.segments} segments`);
+                        })
+                        .catch(error => console.error('Warning track request failed:', error));
+                });
+            }
+
+            controls.warningsVtt.addEventListener('click', downloadWarningTrack);
+
+            /**
+             * Timeout for settings update debounce
+             * @type {number|null}
+             */
+            let settingsUpdateTimeout = null;
+
+            /**
+             * Debounce delay for settings updates in miliseconds, sync storage limits writes per minute
+             * @type {number}
+             */
+            const DEBOUNCE_DELAY = 500;
 
             /**
              * Updates the settings based on the input event
@@ -263,43 +705,23 @@
             function updateSetting(e) {
                 try {
                     if (e.target.type === 'range') {
-                        const value = parseFloat(e.target.value);
-                        const threshold = 0.5 - (value * 0.08);
+                        const value = Settings.clamp('detection', 'sensitivity', e.target.value);
 
                         // Update display immediately
                         controls.sensitivityDisplay.textContent = getSensitivityLabel(value);
                         announceChange(`Sensitivity set to ${controls.sensitivityDisplay.textContent}`);
 
-                        const settings = {
-                            threshold: threshold,
-                            userPreferences: {
-                                lastSensitivity: value,
-                                highContrast: controls.highContrast.checked
-                            }
-                        };
-
-                        // Batching for immediate operations
-                        Object.entries(settings).forEach(([key, value]) => {
-                            pendingStorageUpdates[key] = value;
-                        });
-                        batchStorageUpdate();
-
-                        // Queue in storageQueue for reliability
-                        storageQueue.update('settings', settings)
-                            .then(() => {
-                                // If successful storage update, notify background
-                                chrome.runtime.sendMessage({
-                                    type: 'settingsUpdate',
-                                    settings: settings
+                        settings.detection = { ...settings.detection, sensitivity: value };
+
+                        // Saved once the slider settles, the background script passes it on to content scripts
+                        clearTimeout(settingsUpdateTimeout);
+                        settingsUpdateTimeout = setTimeout(() => {
+                            connection.request('settingsUpdate', { settings: { detection: settings.detection } })
+                                .catch(error => {
+                                    console.error('Settings update failed:', error);
+                                    controls.status.textContent = 'Settings update failed. Please try again.';
                                 });
-                                notifyTabs(settings);
-                            })
-                            .catch(error => {
-                                console.error('Settings update failed:', error);
-                                controls.status.textContent = 'Settings update failed. Please try again.';
-                                // Force stats refresh to resync
-                                chrome.runtime.sendMessage({ type: 'statsRequest' });
-                            });
+                        }, DEBOUNCE_DELAY);
                     }
                 } catch (error) {
                     console.error('Error updating setting:', error);
@@ -308,74 +730,60 @@
             }
 
             /**
-             * Refreshes the stats by sending a message to the background.js script
+             * Refreshes the stats by sending a message to the background.js script,
+             * which keeps the counts, including those of the active tab
              */
 
             // Stats refresh 
             // TASK: 341: Fix issue with stats refresh not working correctly
             function refreshStats() {
-                chrome.runtime.sendMessage({ type: 'statsRequest' }, response => {
-                    if (response?.success && response.stats) {
-                        updateStats(response.stats);
-                    }
+                chrome.tabs.query({ active: true, currentWindow: true }, ([tab]) => {
+                    connection.request('statsRequest', { tabId: tab?.id })
+                        .then(({ stats, status }) => {
+                            updateStats(stats);
+                            updateTabStatus(status);
+                        })
+                        // The counts shown are kept, the next refresh tries again
+                        .catch(() => {});
                 });
             }
 
             // Periodic stats refresh
             setInterval(refreshStats, 5000);
 
-            /**
-             * Notifies all tabs about the settings update
-             * @param {Object} settings - The updated settings
-             */
-
-            function notifyTabs(settings) {
-                chrome.tabs.query({}, async tabs => {
-                    const promises = tabs.map(async tab => {
-                        if (tab.status === 'complete') {
-                            try {
-                                await new Promise((resolve, reject) => {
-                                    const timeout = setTimeout(() => {
-                                        reject(new Error('Message timeout'));
-                                    }, 1000); 
-
-                                    chrome.tabs.sendMessage(tab.id, {
-                                        type: 'settingsUpdate',
-                                        settings: settings
-                                    }, response => {
-                                        clearTimeout(timeout);
-                                        if (chrome.runtime.lastError) {
-                                            // Ignores "receiving end does not exist" errors very annoying
-                                            if (!chrome.runtime.lastError.message.includes('Receiving end does not exist')) {
-                                                console.warn(`Tab ${tab.id} message error:`, chrome.runtime.lastError);
-                                            }
-                                        }
-                                        resolve(response);
-                                    });
-                                });
-                            } catch (error) {
-                                // Handle timeout
-                                console.warn(`Tab ${tab.id} communication failed:`, error);
-                            }
-                        }
-                    });
-
-                    await Promise.allSettled(promises);
-                });
-            }
-
             /**
              * Updates the controls based on the provided settings
-             * @param {Object} settings - The settings to apply
+             * @param {Object} loaded - Complete settings to apply, see Settings.load
              */
 
-            function updateControls(settings) {
+            function updateControls(loaded) {
                 try {
-                    const sensitivityValue = Math.round((0.5 - settings.threshold) / 0.08);
-                    controls.threshold.value = sensitivityValue;
-                    controls.sensitivityDisplay.textContent = getSensitivityLabel(sensitivityValue);
-                    controls.highContrast.checked = settings.highContrast;
-                    document.body.classList.toggle('high-contrast', settings.highContrast);
+                    settings = loaded;
+                    const { detection, userPreferences, mitigation, safeRender, safeStart, lookAhead } = settings;
+
+                    controls.threshold.value = detection.sensitivity;
+                    controls.sensitivityDisplay.textContent = getSensitivityLabel(detection.sensitivity);
+                    controls.highContrast.checked = userPreferences.highContrast;
+                    document.body.classList.toggle('high-contrast', userPreferences.highContrast);
+
+                    const percent = Math.round(mitigation.strength * 100);
+                    controls.mitigationMode.value = mitigation.mode;
+                    controls.quietPeriod.value = mitigation.quietPeriod / 1000;
+                    controls.mitigationStrength.value = percent;
+                    controls.mitigationStrengthDisplay.textContent = `${percent}%`;
+
+                    controls.safeRender.checked = safeRender.enabled;
+                    controls.renderDelay.value = safeRender.delayFrames;
+                    controls.renderDelayDisplay.textContent = safeRender.delayFrames;
+                    controls.audioOffset.value = safeRender.audioSyncOffset;
+
+                    controls.safeStart.checked = safeStart.enabled;
+                    controls.safeStartSeconds.value = safeStart.seconds;
+                    controls.lookAhead.checked = lookAhead.enabled;
+                    controls.lookAheadSeconds.value = lookAhead.aheadSeconds;
+                    controls.blackoutSeconds.textContent = mitigation.blackoutDuration / 1000;
+                    showProfiles(settings);
+                    showSiteRule(settings);
                 } catch (error) {
                     console.error('Error updating controls:', error);
                     controls.status.textContent = 'Error updating display';
@@ -392,18 +800,48 @@
                 if (!stats) return;
 
                 controls.flashCount.textContent = stats.flashCount.toLocaleString();
+                controls.redFlashCount.textContent = (stats.redFlashCount || 0).toLocaleString();
+                controls.todayCount.textContent = (stats.today.flashCount + stats.today.redFlashCount).toLocaleString();
+                controls.tabCount.textContent = (stats.tab.flashCount + stats.tab.redFlashCount).toLocaleString();
                 controls.lastDetection.textContent = stats.lastDetection ?
                     new Date(stats.lastDetection).toLocaleString(undefined, {
                         dateStyle: 'medium',
                         timeStyle: 'medium'
                     }) : 'Never';
+            }
 
-                
-                const protectionStatus = document.getElementById('protectionStatus');
-                if (protectionStatus) {
-                    protectionStatus.textContent = 'Active';
-                    protectionStatus.style.color = '#2ecc71';
-                }
+            const TAB_STATUS_COLORS = {
+                unsupported: '#7f8c8d',
+                disabled: '#7f8c8d',
+                idle: '#7f8c8d',
+                protecting: '#2ecc71',
+                blocked: '#e67e22',
+                mitigating: '#e74c3c'
+            };
+
+            /**
+             * Shows the protection status of the active tab, as kept by the background script
+             * @param {Object} status - The status, see tabStatus.describe in background.js
+             * @returns {void}
+             */
+
+            function updateTabStatus(status) {
+                if (!status) return;
+
+                const videos = `${status.videos} video${status.videos === 1 ? '' : 's'}`;
+                const blockedReason = status.blocked.includes('drm') ? 'copy protected' : 'unreadable';
+                const labels = {
+                    unsupported: 'Not active on this site',
+                    disabled: 'Turned off on this site',
+                    idle: 'Active, no video yet',
+                    protecting: status.blocked.length > 0
+                        ? `Protecting ${videos}, ${status.blocked.length} ${blockedReason}`
+                        : `Protecting ${videos}`,
+                    blocked: `Analysis blocked, video ${blockedReason}`,
+                    mitigating: 'Mitigating flashes now'
+                };
+                controls.protectionStatus.textContent = labels[status.state];
+                controls.protectionStatus.style.color = TAB_STATUS_COLORS[status.state];
             }
 
             const ANNOUNCE_CHANGE_TIMEOUT = 2000;
@@ -418,40 +856,17 @@
             // Resets stats functionality
             // TASK 341 
             document.getElementById('resetStats').addEventListener('click', () => {
-                const newStats = { flashCount: 0, lastDetection: null };
-                chrome.storage.sync.set({ stats: newStats });
-                updateStats(newStats);
-                announceChange('Statistics reset');
-            });
-
-            // Message listener with error handling
-            chrome.runtime.onMessage.addListener((request, _sender, _sendResponse) => {
-                if (request.type === 'statsUpdate') {
-                    try {
-                        updateStats(request.stats);
-                    } catch (error) {
-                        console.error('Error updating stats:', error);
-                    }
-                }
-            });
-
-            // Initialize with saved preferences
-            chrome.storage.sync.get({
-                userPreferences: {
-                    highContrast: false,
-                    lastSensitivity: 3
-                }
-            }, (result) => {
-                const { highContrast } = result.userPreferences;
-                controls.highContrast.checked = highContrast;
-                document.body.classList.toggle('high-contrast', highContrast);
+                chrome.tabs.query({ active: true, currentWindow: true }, ([tab]) => {
+                    connection.request('statsReset', { tabId: tab?.id })
+                        .then(({ stats, status }) => {
+                            updateStats(stats);
+                            updateTabStatus(status);
+                            announceChange('Statistics reset');
+                        })
+                        .catch(() => announceChange('Statistics could not be reset'));
+                });
             });
 
-            // Validate input values TODO: Fix TASK 234
-            function validateValue(value, min, max) {
-                return Math.min(Math.max(Number(value), min), max);
-            }
-
         } catch (error) {
             console.error('[Security] Popup initialization error:', error);
         }
@@ -0,0 +1,313 @@
+'use strict';
+/**
+ * @description Message protocol shared by the service worker, the content
+ * scripts and the extension pages. Every message travels in an envelope with
+ * the protocol version over a long-lived port: content scripts open one port
+ * per frame and extension pages one per page, so the service worker learns
+ * when a frame or page goes away. Requests carry an ID and are answered on the
+ * same port, or rejected once their timeout passes.
+ */
+const Protocol = {
+    /**
+     * Version of the envelope and message schemas, both ends must match
+     * @type {number}
+     */
+    VERSION: 1,
+
+    /**
+     * Time a request waits for its answer in miliseconds
+     * @type {number}
+     */
+    DEFAULT_TIMEOUT: 5000,
+
+    /**
+     * Port names by peer kind
+     * @type {{frame: string, page: string}}
+     */
+    PORTS: Object.freeze({
+        frame: 'flash-protection-frame',
+        page: 'flash-protection-page'
+    }),
+
+    /**
+     * Message types. `from` and `to` are the sending and handling side: 'frame'
+     * (content script), 'page' (popup or other extension page) or 'worker'.
+     * Requests are answered, `reply: false` marks notifications. `payload` maps
+     * each field to 'string', 'number', 'boolean', 'object' or 'array', or to a
+     * list of allowed values; a trailing '?' makes the field optional.
+     * @type {Object.<string, {from: string, to: string, reply: boolean, payload: Object}>}
+     */
+    MESSAGES: Object.freeze({
+        // Content script to service worker
+        flashEvent: { from: 'frame', to: 'worker', reply: false, payload: { event: 'object' } },
+        statsRecord: { from: 'frame', to: 'worker', reply: false, payload: { flashType: ['luminance', 'red'] } },
+        tabStatus: { from: 'frame', to: 'worker', reply: false, payload: { status: 'object' } },
+
+        // Extension page to service worker
+        statsRequest: { from: 'page', to: 'worker', reply: true, payload: { tabId: 'number?' } },
+        statsReset: { from: 'page', to: 'worker', reply: true, payload: { tabId: 'number?' } },
+        settingsUpdate: { from: 'page', to: 'worker', reply: true, payload: { settings: 'object' } },
+        recoveryRequest: { from: 'page', to: 'worker', reply: true, payload: {} },
+        eventLogQuery: { from: 'page', to: 'worker', reply: true, payload: { query: 'object?' } },
+        eventLogClear: { from: 'page', to: 'worker', reply: true, payload: {} },
+        exportData: { from: 'page', to: 'worker', reply: true, payload: { format: ['json', 'csv'] } },
+        importPreview: {
+            from: 'page', to: 'worker', reply: true,
+            payload: { bundle: 'object', mode: ['merge', 'replace'] }
+        },
+        importApply: {
+            from: 'page', to: 'worker', reply: true,
+            payload: { bundle: 'object', mode: ['merge', 'replace'] }
+        },
+        warningsImport: {
+            from: 'page', to: 'worker', reply: true,
+            payload: { manifest: 'object', mode: ['merge', 'replace'] }
+        },
+        warningsExport: { from: 'page', to: 'worker', reply: true, payload: {} },
+        warningsClear: { from: 'page', to: 'worker', reply: true, payload: {} },
+        warningTrackRequest: { from: 'page', to: 'worker', reply: true, payload: { tabId: 'number' } },
+        profileApply: { from: 'page', to: 'worker', reply: true, payload: { id: 'string' } },
+        profileSave: { from: 'page', to: 'worker', reply: true, payload: { name: 'string' } },
+        profileDelete: { from: 'page', to: 'worker', reply: true, payload: { id: 'string' } },
+
+        // Service worker to content scripts
+        settingsUpdated: { from: 'worker', to: 'frame', reply: false, payload: { settings: 'object' } },
+        getWarningTrack: { from: 'worker', to: 'frame', reply: true, payload: {} },
+        // Sent to a tab without a port, see ping()
+        ping: { from: 'worker', to: 'frame', reply: true, payload: {} },
+
+        // Service worker to extension pages
+        statsUpdate: { from: 'worker', to: 'page', reply: false, payload: {} },
+        tabStatusUpdate: { from: 'worker', to: 'page', reply: false, payload: { tabId: 'number' } }
+    }),
+
+    /**
+     * Checks a message against its schema
+     * @param {string} type - The message type
+     * @param {Object} payload - The message fields
+     * @returns {Object} The message spec from MESSAGES
+     * @throws {Error} - Throws an error naming the type or the first invalid field
+     */
+    validate(type, payload) {
+        const spec = Object.prototype.hasOwnProperty.call(this.MESSAGES, type) ? this.MESSAGES[type] : null;
+        if (!spec) {
+            throw new Error(`Unknown message type ${type}`);
+        }
+        if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+            throw new Error(`Invalid ${type} message`);
+        }
+
+        Object.entries(spec.payload).forEach(([field, fieldType]) => {
+            const value = payload[field];
+            if (Array.isArray(fieldType)) {
+                if (!fieldType.includes(value)) {
+                    throw new Error(`Invalid ${field} in ${type} message`);
+                }
+                return;
+            }
+
+            const optional = fieldType.endsWith('?');
+            const expected = optional ? fieldType.slice(0, -1) : fieldType;
+            if (value === undefined || value === null) {
+                if (!optional) {
+                    throw new Error(`Missing ${field} in ${type} message`);
+                }
+                return;
+            }
+            const actual = Array.isArray(value) ? 'array' : typeof value;
+            if (actual !== expected || (expected === 'number' && !Number.isFinite(value))) {
+                throw new Error(`Invalid ${field} in ${type} message`);
+            }
+        });
+        return spec;
+    },
+
+    /**
+     * Wraps a port so both ends can send requests and notifications over it
+     * @param {chrome.runtime.Port} port - The connected port
+     * @param {string} side - This end: 'worker', 'frame' or 'page'
+     * @param {string} peer - The other end
+     * @param {function(string, Object, chrome.runtime.Port): *} handle - Handles a message
+     *        for this side by type and payload, its return value (or promise) answers requests
+     * @returns {Object} The endpoint
+     */
+    createEndpoint(port, side, peer, handle) {
+        const endpoint = {
+            port,
+            side,
+            peer,
+            pending: new Map(), // Open requests by id, { resolve, reject, timer }
+            lastId: 0,
+            connected: true
+        };
+
+        port.onMessage.addListener(envelope => this.receive(endpoint, envelope, handle));
+        port.onDisconnect.addListener(() => {
+            endpoint.connected = false;
+            endpoint.pending.forEach(({ reject, timer }) => {
+                clearTimeout(timer);
+                reject(new Error('Connection closed'));
+            });
+            endpoint.pending.clear();
+        });
+        return endpoint;
+    },
+
+    /**
+     * Sends a request and waits for its answer
+     * @param {Object} endpoint - The endpoint from createEndpoint
+     * @param {string} type - The message type, one with a reply
+     * @param {Object} [payload={}] - The message fields
+     * @param {Object} [options]
+     * @param {number} [options.timeout=Protocol.DEFAULT_TIMEOUT] - Miliseconds before the request fails
+     * @returns {Promise<*>} The answer
+     */
+    async request(endpoint, type, payload = {}, { timeout = this.DEFAULT_TIMEOUT } = {}) {
+        const spec = this.validate(type, payload);
+        if (!spec.reply || spec.from !== endpoint.side) {
+            throw new Error(`${type} is not a request from ${endpoint.side}`);
+        }
+
+        return new Promise((resolve, reject) => {
+            const id = ++endpoint.lastId;
+            const timer = setTimeout(() => {
+                endpoint.pending.delete(id);
+                reject(new Error(`${type} timed out`));
+            }, timeout);
+            endpoint.pending.set(id, { resolve, reject, timer });
+
+            try {
+                endpoint.port.postMessage({ protocol: this.VERSION, kind: 'request', id, type, payload });
+            } catch (error) {
+                clearTimeout(timer);
+                endpoint.pending.delete(id);
+                reject(error);
+            }
+        });
+    },
+
+    /**
+     * Sends a notification, which is not answered
+     * @param {Object} endpoint - The endpoint from createEndpoint
+     * @param {string} type - The message type, one without a reply
+     * @param {Object} [payload={}] - The message fields
+     * @throws {Error} - Throws an error if the message is invalid or the port is closed
+     */
+    notify(endpoint, type, payload = {}) {
+        const spec = this.validate(type, payload);
+        if (spec.reply || spec.from !== endpoint.side) {
+            throw new Error(`${type} is not a notification from ${endpoint.side}`);
+        }
+        endpoint.port.postMessage({ protocol: this.VERSION, kind: 'notification', type, payload });
+    },
+
+    /**
+     * Handles an envelope arriving on an endpoint: settles the request it
+     * answers, or checks it and passes it to the handler
+     * @param {Object} endpoint - The endpoint from createEndpoint
+     * @param {Object} envelope - The envelope as received
+     * @param {function(string, Object, chrome.runtime.Port): *} handle - See createEndpoint
+     * @returns {Promise<void>}
+     */
+    async receive(endpoint, envelope, handle) {
+        if (envelope?.kind === 'response') {
+            const request = endpoint.pending.get(envelope.id);
+            // Answers to requests that timed out are dropped
+            if (!request) return;
+            endpoint.pending.delete(envelope.id);
+            clearTimeout(request.timer);
+            if (envelope.ok) {
+                request.resolve(envelope.result);
+            } else {
+                request.reject(new Error(envelope.error));
+            }
+            return;
+        }
+
+        const isRequest = envelope?.kind === 'request';
+        const respond = answer => {
+            if (!isRequest || !endpoint.connected) return;
+            try {
+                endpoint.port.postMessage({ protocol: this.VERSION, kind: 'response', id: envelope.id, ...answer });
+            } catch (error) {
+                // The other end went away while the request was handled
+            }
+        };
+
+        try {
+            if (envelope?.protocol !== this.VERSION) {
+                throw new Error(`Unsupported protocol version ${envelope?.protocol}`);
+            }
+            const spec = this.validate(envelope.type, envelope.payload);
+            if (spec.to !== endpoint.side || spec.from !== endpoint.peer || spec.reply !== isRequest) {
+                throw new Error(`${envelope.type} is not accepted here`);
+            }
+            const result = await handle(envelope.type, envelope.payload, endpoint.port);
+            respond({ ok: true, result: result ?? null });
+        } catch (error) {
+            if (!isRequest) {
+                console.error('[Flash Protector] Message rejected:', error.message);
+            }
+            respond({ ok: false, error: error.message });
+        }
+    },
+
+    /**
+     * Asks the content scripts of a tab to connect again. A new service worker
+     * has no ports to the tabs its predecessor served, so it reaches them with
+     * a one-off message instead.
+     * @param {number} tabId - The tab to ping
+     * @returns {Promise<boolean>} Whether a content script answered
+     */
+    async ping(tabId) {
+        try {
+            const answer = await chrome.tabs.sendMessage(tabId, {
+                protocol: this.VERSION, kind: 'request', id: 0, type: 'ping', payload: {}
+            });
+            return answer?.ok === true;
+        } catch (error) {
+            // No content script in this tab
+            return false;
+        }
+    },
+
+    /**
+     * Connects a content script or extension page to the service worker. The
+     * worker stops when idle, which closes the port, so a new port is opened
+     * when the next message is sent, or for content scripts when the worker
+     * pings the tab.
+     * @param {string} side - 'frame' or 'page'
+     * @param {function(string, Object, chrome.runtime.Port): *} handle - See createEndpoint
+     * @param {function(Object): void} [onConnect] - Called with each new endpoint
+     * @returns {{request: function(string, Object=, Object=): Promise<*>,
+     *           notify: function(string, Object=): Promise<void>}} The connection
+     */
+    connect(side, handle, onConnect) {
+        let endpoint = null;
+        const current = () => {
+            if (!endpoint?.connected) {
+                endpoint = this.createEndpoint(chrome.runtime.connect({ name: this.PORTS[side] }), side, 'worker', handle);
+                onConnect?.(endpoint);
+            }
+            return endpoint;
+        };
+
+        current();
+        if (side === 'frame') {
+            chrome.runtime.onMessage.addListener((envelope, sender, sendResponse) => {
+                if (sender.id !== chrome.runtime.id || envelope?.type !== 'ping') return false;
+                if (envelope.protocol !== this.VERSION) {
+                    sendResponse({ ok: false, error: `Unsupported protocol version ${envelope.protocol}` });
+                    return false;
+                }
+                current();
+                sendResponse({ ok: true });
+                return false;
+            });
+        }
+        return {
+            request: async (type, payload, options) => this.request(current(), type, payload, options),
+            notify: async (type, payload) => this.notify(current(), type, payload)
+        };
+    }
+};
@@ -0,0 +1,298 @@
+'use strict';
+/**
+ * @description Safe render mode. The real video is hidden and its decoded frames
+ * are painted to an overlay canvas from a short delay buffer, so frames arriving
+ * while the analyzer is mitigating are attenuated before they reach the screen.
+ * Audio is delayed through Web Audio to stay in sync with the delayed picture.
+ */
+const SafeRender = {
+    /**
+     * Default weight of a new frame while attenuating, lower values blend more
+     * of the previous frames in and flatten luminance swings further
+     * @type {number}
+     */
+    BLEND_ALPHA: 0.15,
+
+    /**
+     * Audio graphs by video, createMediaElementSource can only be called once per element
+     * @type {WeakMap<HTMLVideoElement, {context: AudioContext, source: MediaElementAudioSourceNode, delay: DelayNode}>}
+     */
+    audioGraphs: new WeakMap(),
+
+    /**
+     * Videos hidden by running renderers, with the opacity they had before the
+     * first one started. A video may be hidden by the safe renderer and a blend
+     * renderer at once, and is shown again when the last of them stops.
+     * @type {WeakMap<HTMLVideoElement, {opacity: string, renderers: number}>}
+     */
+    hiddenVideos: new WeakMap(),
+
+    /**
+     * Checks whether frames of the video can be read. Frames of cross-origin
+     * videos without CORS cannot be analyzed, and their audio would be
+     * silenced by Web Audio, so safe render is not used for them.
+     * @param {HTMLVideoElement} video - The video element
+     * @returns {boolean}
+     */
+    isReadable(video) {
+        try {
+            const context = document.createElement('canvas').getContext('2d');
+            context.drawImage(video, 0, 0, 1, 1);
+            context.getImageData(0, 0, 1, 1);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    },
+
+    /**
+     * Creates a safe renderer for a video
+     * @param {HTMLVideoElement} video - The video element
+     * @param {Object} options
+     * @param {number} options.delayFrames - Frames held back before display
+     * @param {number} options.audioSyncOffset - Extra audio delay in miliseconds, may be negative
+     * @param {number} [options.blendAlpha=SafeRender.BLEND_ALPHA] - Weight of a new frame while attenuating
+     * @param {boolean} [options.delayAudio=true] - Whether audio is delayed along with the picture
+     * @param {function(): boolean} shouldAttenuate - Returns true while frames must be attenuated
+     * @param {function(string, Error): void} [onError] - Called with a description when audio
+     *        cannot be delayed, or when a frame cannot be captured, which stops the renderer
+     * @returns {Object} The renderer
+     */
+    create(video, options, shouldAttenuate, onError = () => {}) {
+        const canvas = document.createElement('canvas');
+        canvas.className = 'flash-protection-safe-render';
+        canvas.setAttribute('aria-hidden', 'true');
+        canvas.style.cssText = 'position: absolute; pointer-events: none; background: #000;';
+
+        return {
+            video,
+            canvas,
+            context: canvas.getContext('2d'),
+            options: { blendAlpha: this.BLEND_ALPHA, delayAudio: true, ...options },
+            shouldAttenuate,
+            onError,
+            buffer: [],              // Captured frames waiting for display, oldest first
+            frameHandle: null,
+            frameDuration: 1 / 30,   // Estimated from media times, used for the audio delay
+            lastMediaTime: null,
+            resizeObserver: null,
+            listeners: null,
+            active: false
+        };
+    },
+
+    /**
+     * Hides the video and starts painting its frames to the overlay canvas
+     * @param {Object} renderer - The renderer from create
+     * @returns {Promise<boolean>} False when the video cannot be rendered safely
+     */
+    async start(renderer) {
+        const { video, canvas } = renderer;
+        if (renderer.active) return true;
+        if (typeof video.requestVideoFrameCallback !== 'function' || !video.parentElement || !this.isReadable(video)) {
+            return false;
+        }
+
+        renderer.active = true;
+        renderer.listeners = new AbortController();
+        const { signal } = renderer.listeners;
+
+        video.parentElement.insertBefore(canvas, video.nextSibling);
+        renderer.resizeObserver = new ResizeObserver(() => this.layout(renderer));
+        renderer.resizeObserver.observe(video);
+        this.layout(renderer);
+
+        const hidden = this.hiddenVideos.get(video) || { opacity: video.style.opacity, renderers: 0 };
+        hidden.renderers++;
+        this.hiddenVideos.set(video, hidden);
+        video.style.opacity = '0';
+
+        // Show the frame the video stopped on, and drop frames from before a seek
+        video.addEventListener('pause', () => this.flush(renderer), { signal });
+        video.addEventListener('seeking', () => this.clear(renderer), { signal });
+
+        if (renderer.options.delayAudio) {
+            await this.connectAudio(renderer);
+        }
+
+        const onFrame = (_now, metadata) => {
+            if (!renderer.active) return;
+            this.capture(renderer, metadata.mediaTime);
+            renderer.frameHandle = video.requestVideoFrameCallback(onFrame);
+        };
+        renderer.frameHandle = video.requestVideoFrameCallback(onFrame);
+        return true;
+    },
+
+    /**
+     * Stops safe render, shows the video again and restores undelayed audio
+     * @param {Object} renderer - The renderer from create
+     */
+    stop(renderer) {
+        if (!renderer.active) return;
+        renderer.active = false;
+
+        const { video, canvas } = renderer;
+        video.cancelVideoFrameCallback(renderer.frameHandle);
+        renderer.listeners.abort();
+        renderer.resizeObserver.disconnect();
+        this.clear(renderer);
+        canvas.remove();
+        const hidden = this.hiddenVideos.get(video);
+        if (hidden && --hidden.renderers === 0) {
+            this.hiddenVideos.delete(video);
+            video.style.opacity = hidden.opacity;
+        }
+
+        const graph = this.audioGraphs.get(video);
+        if (graph && renderer.options.delayAudio) {
+            graph.source.disconnect();
+            graph.source.connect(graph.context.destination);
+        }
+    },
+
+    /**
+     * Applies new delay options to a running renderer
+     * @param {Object} renderer - The renderer from create
+     * @param {Object} options - See create
+     */
+    update(renderer, options) {
+        renderer.options = { ...renderer.options, ...options };
+        while (renderer.buffer.length > renderer.options.delayFrames) {
+            this.paint(renderer, renderer.buffer.shift());
+        }
+        this.updateAudioDelay(renderer);
+    },
+
+    /**
+     * Routes the video's audio through a delay matching the picture latency
+     * @param {Object} renderer - The renderer from create
+     * @returns {Promise<void>}
+     */
+    async connectAudio(renderer) {
+        const { video } = renderer;
+        try {
+            let graph = this.audioGraphs.get(video);
+            if (!graph) {
+                const context = new AudioContext();
+                await context.resume();
+                // A suspended context would silence the video once its audio is routed through it
+                if (context.state !== 'running') {
+                    context.close();
+                    return;
+                }
+                graph = {
+                    context,
+                    source: context.createMediaElementSource(video),
+                    delay: context.createDelay(2)
+                };
+                this.audioGraphs.set(video, graph);
+            }
+
+            graph.source.disconnect();
+            graph.source.connect(graph.delay).connect(graph.context.destination);
+            this.updateAudioDelay(renderer);
+        } catch (error) {
+            renderer.onError('Safe render audio delay unavailable:', error);
+        }
+    },
+
+    /**
+     * Sets the audio delay to the current picture latency plus the sync offset
+     * @param {Object} renderer - The renderer from create
+     */
+    updateAudioDelay(renderer) {
+        const graph = this.audioGraphs.get(renderer.video);
+        if (!graph || !renderer.active || !renderer.options.delayAudio) return;
+
+        const latency = renderer.options.delayFrames * renderer.frameDuration;
+        const delay = Math.max(0, Math.min(2, latency + renderer.options.audioSyncOffset / 1000));
+        graph.delay.delayTime.setTargetAtTime(delay, graph.context.currentTime, 0.1);
+    },
+
+    /**
+     * Captures a decoded frame into the delay buffer and paints the frames that are due
+     * @param {Object} renderer - The renderer from create
+     * @param {number} mediaTime - Position of the frame in the video in seconds
+     */
+    capture(renderer, mediaTime) {
+        if (renderer.lastMediaTime !== null && mediaTime > renderer.lastMediaTime) {
+            const duration = mediaTime - renderer.lastMediaTime;
+            // Smooth the estimate, frame times jitter and frames can be dropped
+            renderer.frameDuration += (Math.min(duration, 0.1) - renderer.frameDuration) * 0.1;
+        }
+        renderer.lastMediaTime = mediaTime;
+
+        createImageBitmap(renderer.video).then(bitmap => {
+            if (!renderer.active) {
+                bitmap.close();
+                return;
+            }
+            renderer.buffer.push({ bitmap, mediaTime });
+            while (renderer.buffer.length > renderer.options.delayFrames) {
+                this.paint(renderer, renderer.buffer.shift());
+            }
+            this.updateAudioDelay(renderer);
+        }).catch(error => {
+            // A tainted or stalled video fails on every frame, so the first failure ends safe render
+            if (!renderer.active) return;
+            this.stop(renderer);
+            renderer.onError('Safe render capture failed:', error);
+        });
+    },
+
+    /**
+     * Paints a buffered frame, blending it with the previous frames while mitigating
+     * @param {Object} renderer - The renderer from create
+     * @param {{bitmap: ImageBitmap, mediaTime: number}} entry - The buffered frame
+     */
+    paint(renderer, { bitmap }) {
+        const { canvas, context, video } = renderer;
+        const scale = Math.min(canvas.width / bitmap.width, canvas.height / bitmap.height);
+        const width = bitmap.width * scale;
+        const height = bitmap.height * scale;
+
+        context.globalAlpha = renderer.shouldAttenuate() ? renderer.options.blendAlpha : 1;
+        context.drawImage(bitmap, (canvas.width - width) / 2, (canvas.height - height) / 2, width, height);
+        bitmap.close();
+
+        // Mitigation filters are set on the hidden video, mirror them on what is shown
+        canvas.style.filter = video.style.filter;
+    },
+
+    /**
+     * Paints every buffered frame, used when playback pauses
+     * @param {Object} renderer - The renderer from create
+     */
+    flush(renderer) {
+        while (renderer.buffer.length > 0) {
+            this.paint(renderer, renderer.buffer.shift());
+        }
+    },
+
+    /**
+     * Drops every buffered frame without painting it
+     * @param {Object} renderer - The renderer from create
+     */
+    clear(renderer) {
+        renderer.buffer.forEach(({ bitmap }) => bitmap.close());
+        renderer.buffer = [];
+        renderer.lastMediaTime = null;
+    },
+
+    /**
+     * Places the overlay canvas exactly over the video
+     * @param {Object} renderer - The renderer from create
+     */
+    layout(renderer) {
+        const { video, canvas } = renderer;
+        const ratio = window.devicePixelRatio || 1;
+
+        canvas.style.left = `${video.offsetLeft}px`;
+        canvas.style.top = `${video.offsetTop}px`;
+        canvas.style.width = `${video.offsetWidth}px`;
+        canvas.style.height = `${video.offsetHeight}px`;
+        canvas.width = Math.max(1, Math.round(video.offsetWidth * ratio));
+        canvas.height = Math.max(1, Math.round(video.offsetHeight * ratio));
+    }
+};
@@ -0,0 +1,607 @@
+'use strict';
+/**
+ * @description Settings schema shared by the service worker, the content
+ * scripts and the extension pages. Settings are kept in chrome.storage.sync
+ * as one object per group, together with the schema version they were written
+ * in. Every tunable declares its type, allowed range and default here, and
+ * the FlashProtector.config field it sets.
+ */
+const Settings = {
+    /**
+     * Version of the stored layout. Settings stored before versioning count as
+     * version 1: a `threshold`, the slider level in `userPreferences` and
+     * group objects without the timing fields.
+     * @type {number}
+     */
+    VERSION: 2,
+
+    /**
+     * Tunables by group. Fields have a `type` of 'number', 'boolean' or
+     * 'string'; numbers a `min`, a `max` and optionally `integer`, strings the
+     * allowed `values`. `config` names the FlashProtector.config field set from it.
+     * @type {Object.<string, Object.<string, Object>>}
+     */
+    SCHEMA: Object.freeze({
+        detection: Object.freeze({
+            sensitivity: { type: 'number', min: 1, max: 5, integer: true, default: 3, config: 'sensitivityLevel' },
+            frameSampleRate: { type: 'number', min: 5, max: 60, integer: true, default: 30, config: 'frameSampleRate' },
+            seekProtectionDuration: {
+                type: 'number', min: 0, max: 10000, default: 3000, config: 'seekProtectionDuration'
+            },
+            seekFadeOutDuration: { type: 'number', min: 0, max: 5000, default: 1000, config: 'seekFadeOutDuration' }
+        }),
+        mitigation: Object.freeze({
+            mode: {
+                type: 'string',
+                values: ['blackout', 'dim', 'contrast', 'grayscale', 'blur', 'soften', 'blend', 'pause'],
+                default: 'blackout',
+                config: 'mitigationMode'
+            },
+            strength: { type: 'number', min: 0.1, max: 1, default: 0.8, config: 'overlayOpacity' },
+            quietPeriod: { type: 'number', min: 1000, max: 10000, default: 2000, config: 'quietPeriod' },
+            minDuration: { type: 'number', min: 250, max: 5000, default: 1000, config: 'minMitigationDuration' },
+            blackoutDuration: { type: 'number', min: 1000, max: 30000, default: 5000, config: 'blackoutDuration' },
+            fadeInDuration: { type: 'number', min: 0, max: 1000, default: 1, config: 'fadeInDuration' },
+            fadeOutDuration: { type: 'number', min: 0, max: 3000, default: 300, config: 'fadeOutDuration' }
+        }),
+        safeRender: Object.freeze({
+            enabled: { type: 'boolean', default: false, config: 'safeRender' },
+            delayFrames: { type: 'number', min: 1, max: 10, integer: true, default: 3, config: 'safeRenderDelayFrames' },
+            audioSyncOffset: { type: 'number', min: -500, max: 500, default: 0, config: 'audioSyncOffset' }
+        }),
+        lookAhead: Object.freeze({
+            enabled: { type: 'boolean', default: false, config: 'lookAhead' },
+            aheadSeconds: { type: 'number', min: 5, max: 120, default: 30, config: 'lookAheadSeconds' }
+        }),
+        safeStart: Object.freeze({
+            enabled: { type: 'boolean', default: true, config: 'safeStart' },
+            seconds: { type: 'number', min: 5, max: 120, default: 30, config: 'safeStartSeconds' }
+        }),
+        userPreferences: Object.freeze({
+            highContrast: { type: 'boolean', default: false },
+            debugMode: { type: 'boolean', default: false, config: 'debugMode' }
+        })
+    }),
+
+    /**
+     * Keys in chrome.storage.sync that belong to the settings
+     * @type {string[]}
+     */
+    get KEYS() {
+        return ['settingsVersion', ...Object.keys(this.SCHEMA), 'profiles', 'siteRules'];
+    },
+
+    /**
+     * Groups a profile sets. Interface preferences stay as they are.
+     * @type {string[]}
+     */
+    PROFILE_GROUPS: Object.freeze(['detection', 'mitigation', 'safeRender', 'lookAhead', 'safeStart']),
+
+    /**
+     * Most profiles a user can create, sync storage limits the size of one item
+     * @type {number}
+     */
+    MAX_PROFILES: 10,
+
+    /**
+     * Built-in profiles. `settings` holds the fields that differ from the defaults.
+     * @type {Object.<string, {name: string, description: string, settings: Object}>}
+     */
+    PROFILES: Object.freeze({
+        standard: Object.freeze({
+            name: 'Standard',
+            description: 'The default settings, following the WCAG flash limits.',
+            settings: {}
+        }),
+        epilepsy: Object.freeze({
+            name: 'Photosensitive epilepsy',
+            description: 'Strictest detection. Flashing is blacked out and videos are checked before they play.',
+            settings: {
+                detection: { sensitivity: 5, frameSampleRate: 60 },
+                mitigation: { mode: 'blackout', strength: 1, quietPeriod: 3000, minDuration: 2000 },
+                lookAhead: { aheadSeconds: 60 },
+                safeStart: { enabled: true, seconds: 60 }
+            }
+        }),
+        migraine: Object.freeze({
+            name: 'Migraine',
+            description: 'Flashing is dimmed and blurred rather than blacked out, and the picture fades back slowly.',
+            settings: {
+                detection: { sensitivity: 4 },
+                mitigation: { mode: 'soften', strength: 0.6, quietPeriod: 3000, fadeOutDuration: 1500 }
+            }
+        }),
+        light: Object.freeze({
+            name: 'Light sensitivity',
+            description: 'Only strong flashing is caught, and it is dimmed a little.',
+            settings: {
+                detection: { sensitivity: 2 },
+                mitigation: { mode: 'dim', strength: 0.5 }
+            }
+        })
+    }),
+
+    /**
+     * What a site rule does: apply a profile there, turn protection off on a
+     * trusted site, or apply the strictest built-in profile
+     * @type {Object.<string, string>}
+     */
+    SITE_ACTIONS: Object.freeze({
+        profile: 'Use a profile',
+        disable: 'Protection off',
+        strict: 'Strictest protection'
+    }),
+
+    /**
+     * Built-in profile applied by `strict` site rules
+     * @type {string}
+     */
+    STRICTEST_PROFILE: 'epilepsy',
+
+    /**
+     * Most site rules that can be kept, sync storage limits the size of one item
+     * @type {number}
+     */
+    MAX_SITE_RULES: 50,
+
+    /**
+     * Keys of older layouts, removed once the settings are upgraded. The popup
+     * also queued its slider settings under `settings` for a while.
+     * @type {string[]}
+     */
+    LEGACY_KEYS: Object.freeze(['threshold', 'highContrast', 'settings']),
+
+    /**
+     * Names of the sensitivity levels, from least to most sensitive
+     * @type {Object.<number, string>}
+     */
+    SENSITIVITY_LABELS: Object.freeze({
+        1: 'Very Low',
+        2: 'Low',
+        3: 'Medium',
+        4: 'High',
+        5: 'Very High'
+    }),
+
+    /**
+     * Upgrade steps by the version they start from. Each returns the stored
+     * object in the next version's layout; fields it does not know are left
+     * out and take their defaults.
+     * @type {Object.<number, function(Object): Object>}
+     */
+    MIGRATIONS: Object.freeze({
+        1: ({ threshold, highContrast, settings, userPreferences, ...groups }) => {
+            const sensitivity = userPreferences?.lastSensitivity ??
+                (typeof threshold === 'number' ? Settings.levelFor(threshold) : undefined);
+            const contrast = userPreferences?.highContrast ?? highContrast;
+            if (sensitivity !== undefined) {
+                groups.detection = { sensitivity };
+            }
+            if (contrast !== undefined) {
+                groups.userPreferences = { highContrast: contrast };
+            }
+            return { ...groups, settingsVersion: 2 };
+        }
+    }),
+
+    /**
+     * @returns {Object} A new settings object with every default
+     */
+    defaults() {
+        const settings = { settingsVersion: this.VERSION };
+        Object.entries(this.SCHEMA).forEach(([group, fields]) => {
+            settings[group] = {};
+            Object.entries(fields).forEach(([field, spec]) => {
+                settings[group][field] = spec.default;
+            });
+        });
+        // No profile applied, `active` is the ID of the profile chosen last
+        settings.profiles = { active: null, custom: {} };
+        // Rules by site pattern, see siteRuleFor
+        settings.siteRules = {};
+        return settings;
+    },
+
+    /**
+     * Converts a sensitivity level to the detection threshold it stands for
+     * @param {number} level - Sensitivity level, 1 to 5
+     * @returns {number} The threshold, lower is more sensitive
+     */
+    thresholdFor(level) {
+        return 0.5 - (level * 0.08);
+    },
+
+    /**
+     * Converts a detection threshold back to its sensitivity level
+     * @param {number} threshold - The threshold, see thresholdFor
+     * @returns {number} The nearest sensitivity level
+     */
+    levelFor(threshold) {
+        return Math.max(1, Math.min(5, Math.round((0.5 - threshold) / 0.08)));
+    },
+
+    /**
+     * @param {Object} spec - The field from SCHEMA
+     * @param {*} value - The value to check
+     * @returns {boolean} Whether the value is allowed for the field
+     */
+    isValid(spec, value) {
+        if (spec.type === 'number') {
+            return typeof value === 'number' && Number.isFinite(value) &&
+                value >= spec.min && value <= spec.max && (!spec.integer || Number.isInteger(value));
+        }
+        if (spec.type === 'string') {
+            return spec.values.includes(value);
+        }
+        return typeof value === spec.type;
+    },
+
+    /**
+     * Brings a value from a form control into a number field's range
+     * @param {string} group - The group in SCHEMA
+     * @param {string} field - The number field
+     * @param {*} value - The value as entered
+     * @returns {number} The nearest allowed value, the default if it is not a number
+     */
+    clamp(group, field, value) {
+        const spec = this.SCHEMA[group][field];
+        const number = Number(value);
+        if (value === '' || !Number.isFinite(number)) {
+            return spec.default;
+        }
+        const clamped = Math.min(Math.max(number, spec.min), spec.max);
+        return spec.integer ? Math.round(clamped) : clamped;
+    },
+
+    /**
+     * Checks settings before they are stored. Groups may be left out, but a
+     * group that is given must have every field, as it replaces the stored one.
+     * @param {Object} settings - Groups by name, see SCHEMA
+     * @returns {Object} The settings
+     * @throws {Error} - Throws an error naming the first invalid group or field
+     */
+    validate(settings) {
+        if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+            throw new Error('Invalid settings');
+        }
+
+        Object.entries(settings).forEach(([group, values]) => {
+            if (group === 'settingsVersion') {
+                if (values !== this.VERSION) {
+                    throw new Error(`Unsupported settings version ${values}`);
+                }
+                return;
+            }
+            if (group === 'profiles') {
+                this.validateProfiles(values);
+                return;
+            }
+            if (group === 'siteRules') {
+                this.validateSiteRules(values);
+                return;
+            }
+            const fields = Object.prototype.hasOwnProperty.call(this.SCHEMA, group) ? this.SCHEMA[group] : null;
+            if (!fields) {
+                throw new Error(`Unknown settings group ${group}`);
+            }
+            if (!values || typeof values !== 'object' || Array.isArray(values)) {
+                throw new Error(`Invalid ${group} settings`);
+            }
+
+            const unknown = Object.keys(values).find(field => !(field in fields));
+            if (unknown) {
+                throw new Error(`Unknown setting ${group}.${unknown}`);
+            }
+            Object.entries(fields).forEach(([field, spec]) => {
+                if (!this.isValid(spec, values[field])) {
+                    throw new Error(`Invalid setting ${group}.${field}`);
+                }
+            });
+        });
+        return settings;
+    },
+
+    /**
+     * Checks the stored profiles: the active profile's ID and the profiles the
+     * user created, each with a name and every field of PROFILE_GROUPS
+     * @param {Object} profiles - The `profiles` settings
+     * @throws {Error} - Throws an error naming the first invalid profile
+     */
+    validateProfiles(profiles) {
+        if (!profiles || typeof profiles !== 'object' || !profiles.custom || typeof profiles.custom !== 'object') {
+            throw new Error('Invalid profiles');
+        }
+        const ids = Object.keys(profiles.custom);
+        if (ids.length > this.MAX_PROFILES) {
+            throw new Error(`More than ${this.MAX_PROFILES} profiles`);
+        }
+        if (profiles.active !== null && !(profiles.active in this.PROFILES) && !ids.includes(profiles.active)) {
+            throw new Error(`Unknown active profile ${profiles.active}`);
+        }
+
+        ids.forEach(id => {
+            const { name, settings } = profiles.custom[id] || {};
+            if (id in this.PROFILES || typeof name !== 'string' || !name.trim() || name.length > 40) {
+                throw new Error(`Invalid profile ${id}`);
+            }
+            if (!settings || Object.keys(settings).sort().join() !== [...this.PROFILE_GROUPS].sort().join()) {
+                throw new Error(`Invalid settings in profile ${name}`);
+            }
+            this.validate(settings);
+        });
+    },
+
+    /**
+     * Checks the stored site rules: each keyed by a pattern in its stored form,
+     * see normalizeSitePattern, with a known action and a profile ID for
+     * `profile` rules. Whether that profile exists is checked when it is applied.
+     * @param {Object} rules - The `siteRules` settings
+     * @throws {Error} - Throws an error naming the first invalid rule
+     */
+    validateSiteRules(rules) {
+        if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+            throw new Error('Invalid site rules');
+        }
+        const patterns = Object.keys(rules);
+        if (patterns.length > this.MAX_SITE_RULES) {
+            throw new Error(`More than ${this.MAX_SITE_RULES} site rules`);
+        }
+
+        patterns.forEach(pattern => {
+            const { action, profile, ...unknown } = rules[pattern] || {};
+            if (this.normalizeSitePattern(pattern) !== pattern) {
+                throw new Error(`Invalid site pattern ${pattern}`);
+            }
+            if (!(action in this.SITE_ACTIONS) || Object.keys(unknown).length > 0 ||
+                (action === 'profile' ? typeof profile !== 'string' || !profile : profile !== undefined)) {
+                throw new Error(`Invalid site rule for ${pattern}`);
+            }
+        });
+    },
+
+    /**
+     * Puts a site pattern in its stored form. A full origin such as
+     * `https://www.example.com` matches that origin only, a domain such as
+     * `example.com` matches it and its subdomains, and `*.example.com` only
+     * its subdomains.
+     * @param {string} pattern - The pattern as entered, URLs are cut to their origin
+     * @returns {string|null} The pattern in lower case, null if it is not one
+     */
+    normalizeSitePattern(pattern) {
+        if (typeof pattern !== 'string') {
+            return null;
+        }
+        const trimmed = pattern.trim().toLowerCase();
+        if (trimmed.includes('://')) {
+            try {
+                const url = new URL(trimmed);
+                return ['http:', 'https:'].includes(url.protocol) ? url.origin : null;
+            } catch (error) {
+                return null;
+            }
+        }
+        const domain = trimmed.startsWith('*.') ? trimmed.slice(2) : trimmed;
+        const label = '[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?';
+        return new RegExp(`^(?:${label}\\.)*${label}$`).test(domain) ? trimmed : null;
+    },
+
+    /**
+     * Finds the site rule for an origin. Origin rules come before domain
+     * rules, and longer domains before shorter ones.
+     * @param {Object} settings - Complete settings, see normalize
+     * @param {string} origin - The origin of a frame, e.g. window.location.origin
+     * @returns {{pattern: string, action: string, profile?: string}|null} The rule, null when none matches
+     */
+    siteRuleFor(settings, origin) {
+        let url;
+        try {
+            url = new URL(origin);
+        } catch (error) {
+            // Opaque origins, e.g. of sandboxed frames, match no rule
+            return null;
+        }
+
+        const { hostname } = url;
+        const isOrigin = pattern => pattern.includes('://');
+        const [pattern] = Object.keys(settings.siteRules)
+            .filter(candidate => {
+                if (isOrigin(candidate)) return candidate === url.origin;
+                if (candidate.startsWith('*.')) return hostname.endsWith(candidate.slice(1));
+                return hostname === candidate || hostname.endsWith(`.${candidate}`);
+            })
+            .sort((a, b) => Number(isOrigin(b)) - Number(isOrigin(a)) || b.length - a.length);
+        return pattern ? { pattern, ...settings.siteRules[pattern] } : null;
+    },
+
+    /**
+     * Works out the settings that apply on a site. A `profile` rule whose
+     * profile was deleted is ignored. `disable` rules keep the stored values but
+     * turn off the features that act without a detection, the content script
+     * stops analyzing as well.
+     * @param {Object} settings - Complete settings, see normalize
+     * @param {string} origin - The origin of a frame, e.g. window.location.origin
+     * @returns {{settings: Object, rule: Object|null}} Complete settings for the
+     *          site and the rule applied, see siteRuleFor
+     */
+    forSite(settings, origin) {
+        const rule = this.siteRuleFor(settings, origin);
+        let groups = null;
+        if (rule?.action === 'profile') {
+            groups = this.profileSettings(settings, rule.profile);
+        } else if (rule?.action === 'strict') {
+            groups = this.profileSettings(settings, this.STRICTEST_PROFILE);
+        } else if (rule?.action === 'disable') {
+            groups = {
+                detection: { ...settings.detection, seekProtectionDuration: 0 },
+                safeRender: { ...settings.safeRender, enabled: false },
+                lookAhead: { ...settings.lookAhead, enabled: false },
+                safeStart: { ...settings.safeStart, enabled: false }
+            };
+        }
+        return groups ? { settings: { ...settings, ...groups }, rule } : { settings, rule: null };
+    },
+
+    /**
+     * Lists the built-in profiles followed by those the user created
+     * @param {Object} settings - Complete settings, see normalize
+     * @returns {Array.<{id: string, name: string, builtIn: boolean}>}
+     */
+    listProfiles(settings) {
+        return [
+            ...Object.entries(this.PROFILES).map(([id, { name }]) => ({ id, name, builtIn: true })),
+            ...Object.entries(settings.profiles.custom).map(([id, { name }]) => ({ id, name, builtIn: false }))
+        ];
+    },
+
+    /**
+     * Returns the complete groups a profile sets
+     * @param {Object} settings - Complete settings, see normalize
+     * @param {string} id - The profile ID
+     * @returns {Object|null} PROFILE_GROUPS by name, null for unknown profiles
+     */
+    profileSettings(settings, id) {
+        if (settings.profiles.custom[id]) {
+            return settings.profiles.custom[id].settings;
+        }
+        const profile = Object.prototype.hasOwnProperty.call(this.PROFILES, id) ? this.PROFILES[id] : null;
+        if (!profile) {
+            return null;
+        }
+        const defaults = this.defaults();
+        return Object.fromEntries(this.PROFILE_GROUPS.map(group =>
+            [group, { ...defaults[group], ...profile.settings[group] }]));
+    },
+
+    /**
+     * Checks whether the settings still match their active profile
+     * @param {Object} settings - Complete settings, see normalize
+     * @returns {boolean} False when no profile is active or a setting was changed since
+     */
+    matchesProfile(settings) {
+        const groups = settings.profiles.active && this.profileSettings(settings, settings.profiles.active);
+        return Boolean(groups) && this.PROFILE_GROUPS.every(group =>
+            Object.keys(this.SCHEMA[group]).every(field => groups[group][field] === settings[group][field]));
+    },
+
+    /**
+     * Upgrades stored settings to the current layout. Groups that are present
+     * get the defaults of fields they lack; values are not checked, see validate.
+     * @param {Object} stored - Settings in any earlier layout
+     * @returns {Object} The groups present, in the current layout
+     * @throws {Error} - Throws an error if the settings are from a newer version
+     */
+    migrate(stored) {
+        let settings = { ...stored };
+        let version = settings.settingsVersion ?? 1;
+        if (version > this.VERSION) {
+            throw new Error(`Settings version ${version} is newer than this extension`);
+        }
+        while (version < this.VERSION) {
+            settings = this.MIGRATIONS[version](settings);
+            version = settings.settingsVersion;
+        }
+
+        const defaults = this.defaults();
+        Object.keys(this.SCHEMA).filter(group => settings[group]).forEach(group => {
+            settings[group] = { ...defaults[group], ...settings[group] };
+        });
+        return settings;
+    },
+
+    /**
+     * Makes complete settings from stored ones: missing groups and fields, and
+     * values outside the schema, take their defaults
+     * @param {Object} stored - Settings in any layout
+     * @param {string[]} [problems=[]] - Collects why stored settings were not
+     *        read, only reported by upgrade so every frame does not log them
+     * @returns {Object} Every group with every field
+     */
+    normalize(stored, problems = []) {
+        const settings = this.defaults();
+        let migrated = {};
+        try {
+            migrated = this.migrate(stored);
+        } catch (error) {
+            problems.push(`Settings not read: ${error.message}`);
+        }
+
+        Object.entries(this.SCHEMA).forEach(([group, fields]) => {
+            Object.entries(fields).forEach(([field, spec]) => {
+                const value = migrated[group]?.[field];
+                if (this.isValid(spec, value)) {
+                    settings[group][field] = value;
+                }
+            });
+        });
+
+        if (migrated.profiles) {
+            try {
+                this.validateProfiles(migrated.profiles);
+                settings.profiles = { active: migrated.profiles.active, custom: migrated.profiles.custom };
+            } catch (error) {
+                problems.push(`Profiles not read: ${error.message}`);
+            }
+        }
+        if (migrated.siteRules) {
+            try {
+                this.validateSiteRules(migrated.siteRules);
+                settings.siteRules = migrated.siteRules;
+            } catch (error) {
+                problems.push(`Site rules not read: ${error.message}`);
+            }
+        }
+        return settings;
+    },
+
+    /**
+     * Maps settings to FlashProtector.config fields, including the detection
+     * threshold of the sensitivity level
+     * @param {Object} settings - Complete settings, see normalize
+     * @returns {Object} Config fields by name
+     */
+    toConfig(settings) {
+        const config = {};
+        Object.entries(this.SCHEMA).forEach(([group, fields]) => {
+            Object.entries(fields).filter(([, spec]) => spec.config).forEach(([field, spec]) => {
+                config[spec.config] = settings[group][field];
+            });
+        });
+        config.threshold = this.thresholdFor(settings.detection.sensitivity);
+        return config;
+    },
+
+    /**
+     * Reads the settings from chrome.storage.sync, in any layout
+     * @returns {Promise<Object>} Complete settings, see normalize
+     */
+    async load() {
+        return this.normalize(await chrome.storage.sync.get([...this.KEYS, ...this.LEGACY_KEYS]));
+    },
+
+    /**
+     * Rewrites settings stored in an earlier layout in the current one and
+     * removes the keys it no longer uses. Run by the service worker, which
+     * also reports stored settings that cannot be read, once.
+     * @returns {Promise<boolean>} Whether anything was rewritten
+     */
+    async upgrade() {
+        const stored = await chrome.storage.sync.get([...this.KEYS, ...this.LEGACY_KEYS]);
+        const problems = [];
+        const settings = this.normalize(stored, problems);
+        problems.forEach(problem => console.error(`${problem}, defaults are used instead`));
+
+        // Settings of a newer version are left alone, see migrate
+        if (stored.settingsVersion >= this.VERSION) {
+            return false;
+        }
+
+        const present = Object.keys(this.migrate(stored)).filter(key => key !== 'settingsVersion');
+        const changes = { settingsVersion: this.VERSION };
+        present.forEach(group => {
+            changes[group] = settings[group];
+        });
+        await chrome.storage.sync.set(changes);
+        await chrome.storage.sync.remove(this.LEGACY_KEYS.filter(key => key in stored));
+        return true;
+    }
+};
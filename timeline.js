@@ -0,0 +1,165 @@
+'use strict';
+/**
+ * @description Flash timeline. Draws known flashing intervals of a video as
+ * markers along the player's progress bar, anchored to YouTube's
+ * `.ytp-progress-bar` and to a floating strip under other players.
+ */
+const FlashTimeline = {
+    /**
+     * Flashes per second from which an interval is described as high or severe
+     * @type {{high: number, severe: number}}
+     */
+    SEVERITY: Object.freeze({ high: 6, severe: 10 }),
+
+    /**
+     * Creates a timeline for a video, nothing is drawn until update
+     * @param {HTMLVideoElement} video - The video element
+     * @returns {Object} The timeline
+     */
+    create(video) {
+        const layer = document.createElement('div');
+        layer.className = 'flash-protection-timeline';
+        layer.setAttribute('role', 'list');
+        layer.setAttribute('aria-label', 'Flashing in this video');
+
+        const tooltip = document.createElement('div');
+        tooltip.className = 'flash-protection-timeline-tooltip';
+        tooltip.setAttribute('role', 'tooltip');
+        tooltip.style.cssText = 'position: absolute; bottom: 100%; margin-bottom: 6px; padding: 4px 8px; ' +
+            'white-space: nowrap; transform: translateX(-50%); pointer-events: none; display: none; ' +
+            'background: rgba(0, 0, 0, 0.85); color: #fff; font: 12px system-ui, sans-serif; border-radius: 4px;';
+        layer.appendChild(tooltip);
+
+        return {
+            video,
+            layer,
+            tooltip,
+            anchor: null,          // 'youtube' or 'floating'
+            intervals: [],
+            resizeObserver: null
+        };
+    },
+
+    /**
+     * Redraws the markers for a new list of intervals, attaching the layer first if needed
+     * @param {Object} timeline - The timeline from create
+     * @param {Array<{start: number, end: number, type: string, flashes: number}>} intervals - Times in seconds
+     */
+    update(timeline, intervals) {
+        timeline.intervals = intervals;
+        // Players rebuild their controls, so the layer may have been dropped since the last update
+        if (!timeline.layer.isConnected && !this.attach(timeline)) return;
+        this.draw(timeline);
+    },
+
+    /**
+     * Attaches the layer to the YouTube progress bar, or as a strip under the video
+     * @param {Object} timeline - The timeline from create
+     * @returns {boolean} False when the video is no longer in the page
+     */
+    attach(timeline) {
+        const { video, layer } = timeline;
+        const progressBar = video.closest('.html5-video-player')?.querySelector('.ytp-progress-bar');
+
+        if (progressBar) {
+            timeline.anchor = 'youtube';
+            layer.style.cssText = 'position: absolute; left: 0; right: 0; top: 0; height: 100%; ' +
+                'z-index: 40; pointer-events: none;';
+            progressBar.appendChild(layer);
+            return true;
+        }
+        if (!video.parentElement) return false;
+
+        timeline.anchor = 'floating';
+        layer.style.cssText = 'position: absolute; height: 6px; z-index: 2147483646; pointer-events: none; ' +
+            'background: rgba(255, 255, 255, 0.2);';
+        video.parentElement.appendChild(layer);
+        timeline.resizeObserver?.disconnect();
+        timeline.resizeObserver = new ResizeObserver(() => this.layout(timeline));
+        timeline.resizeObserver.observe(video);
+        this.layout(timeline);
+        return true;
+    },
+
+    /**
+     * Places a floating strip along the bottom edge of the video
+     * @param {Object} timeline - The timeline from create
+     */
+    layout(timeline) {
+        const { video, layer } = timeline;
+        layer.style.left = `${video.offsetLeft}px`;
+        layer.style.top = `${video.offsetTop + video.offsetHeight - 6}px`;
+        layer.style.width = `${video.offsetWidth}px`;
+    },
+
+    /**
+     * Replaces the markers with the timeline's intervals. Videos without a
+     * known length, such as live streams, get no markers.
+     * @param {Object} timeline - The timeline from create
+     */
+    draw(timeline) {
+        const { video, layer, tooltip } = timeline;
+        layer.querySelectorAll('.flash-protection-timeline-marker').forEach(marker => marker.remove());
+
+        const duration = video.duration;
+        if (!Number.isFinite(duration) || duration <= 0) return;
+
+        timeline.intervals.forEach(interval => {
+            const label = this.describe(interval);
+            const marker = document.createElement('div');
+            marker.className = 'flash-protection-timeline-marker';
+            marker.setAttribute('role', 'listitem');
+            marker.setAttribute('aria-label', label);
+            marker.style.cssText = `position: absolute; top: 0; height: 100%; min-width: 3px;
+                left: ${interval.start / duration * 100}%;
+                width: ${Math.max(0, interval.end - interval.start) / duration * 100}%;
+                background: ${interval.type === 'red' ? '#ff1744' : '#ffab00'};
+                opacity: ${this.severity(interval) === 'Moderate' ? 0.7 : 1}; pointer-events: auto;`;
+
+            marker.addEventListener('mouseenter', () => {
+                tooltip.textContent = label;
+                tooltip.style.left = `${(interval.start + interval.end) / 2 / duration * 100}%`;
+                tooltip.style.display = 'block';
+            });
+            marker.addEventListener('mouseleave', () => {
+                tooltip.style.display = 'none';
+            });
+            layer.appendChild(marker);
+        });
+    },
+
+    /**
+     * Rates an interval by its peak flash rate
+     * @param {{flashes: number}} interval - The interval
+     * @returns {string} 'Moderate', 'High' or 'Severe'
+     */
+    severity({ flashes }) {
+        if (flashes >= this.SEVERITY.severe) return 'Severe';
+        if (flashes >= this.SEVERITY.high) return 'High';
+        return 'Moderate';
+    },
+
+    /**
+     * Describes an interval for the tooltip and screen readers
+     * @param {{start: number, end: number, type: string, flashes: number}} interval - The interval
+     * @returns {string} e.g. "0:12–0:15 · Severe red flashing, 11 flashes per second"
+     */
+    describe(interval) {
+        const time = seconds => {
+            const total = Math.max(0, Math.floor(seconds));
+            return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+        };
+        const kind = interval.type === 'red' ? 'red flashing' : 'flashing';
+        return `${time(interval.start)}–${time(interval.end)} · ${this.severity(interval)} ${kind}, ` +
+            `${interval.flashes} flashes per second`;
+    },
+
+    /**
+     * Removes the timeline from the page
+     * @param {Object} timeline - The timeline from create
+     */
+    destroy(timeline) {
+        timeline.resizeObserver?.disconnect();
+        timeline.layer.remove();
+    }
+};
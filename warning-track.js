@@ -0,0 +1,81 @@
+'use strict';
+/**
+ * @description Flash warning text track. Known flashing segments of a video are
+ * written as caption cues announcing the flashing a few seconds ahead, so
+ * caption and screen reader users get the warning from the player itself, and
+ * as a WebVTT file for download.
+ */
+const WarningTrack = {
+    /**
+     * Seconds before a segment at which its warning cue starts
+     * @type {number}
+     */
+    LEAD_SECONDS: 3,
+
+    /**
+     * Adds the warning track to a video and shows it
+     * @param {HTMLVideoElement} video - The video element
+     * @returns {TextTrack} The track
+     */
+    create(video) {
+        const track = video.addTextTrack('captions', 'Flash warnings', document.documentElement.lang || 'en');
+        track.mode = 'showing';
+        return track;
+    },
+
+    /**
+     * Builds the cues for a list of segments: a warning ahead of each segment
+     * and a notice while it plays
+     * @param {Array<{start: number, end: number, type: string}>} segments - Times in seconds, sorted
+     * @returns {Array<{start: number, end: number, text: string}>}
+     */
+    buildCues(segments) {
+        const cues = [];
+        segments.forEach(({ start, end, type }, i) => {
+            const kind = type === 'red' ? 'Red flashing lights' : 'Flashing lights';
+            // Keep the warning clear of the previous segment
+            const previousEnd = i > 0 ? segments[i - 1].end : 0;
+            const warningStart = Math.max(0, previousEnd, start - this.LEAD_SECONDS);
+            if (warningStart < start) {
+                cues.push({ start: warningStart, end: start, text: `${kind} ahead (${Math.max(1, Math.round(end - start))}s)` });
+            }
+            cues.push({ start, end, text: `[${kind}]` });
+        });
+        return cues;
+    },
+
+    /**
+     * Replaces the cues of a track with those for the given segments
+     * @param {TextTrack} track - The track from create
+     * @param {Array<{start: number, end: number, type: string}>} segments - Times in seconds, sorted
+     */
+    update(track, segments) {
+        Array.from(track.cues || []).forEach(cue => track.removeCue(cue));
+        this.buildCues(segments).forEach(({ start, end, text }) => {
+            track.addCue(new VTTCue(start, end, text));
+        });
+    },
+
+    /**
+     * Writes the cues for the given segments as a WebVTT file
+     * @param {Array<{start: number, end: number, type: string}>} segments - Times in seconds, sorted
+     * @returns {string} The WebVTT text
+     */
+    toVtt(segments) {
+        const blocks = this.buildCues(segments).map(({ start, end, text }, i) =>
+            `${i + 1}\n${this.formatTimestamp(start)} --> ${this.formatTimestamp(end)}\n${text}`);
+        return ['WEBVTT - Flash warnings', ...blocks].join('\n\n') + '\n';
+    },
+
+    /**
+     * Formats seconds as a WebVTT timestamp
+     * @param {number} seconds - Time in seconds
+     * @returns {string} e.g. 00:01:02.500
+     */
+    formatTimestamp(seconds) {
+        const milliseconds = Math.max(0, Math.round(seconds * 1000));
+        const pad = (value, length = 2) => String(value).padStart(length, '0');
+        return `${pad(Math.floor(milliseconds / 3600000))}:${pad(Math.floor(milliseconds / 60000) % 60)}:` +
+            `${pad(Math.floor(milliseconds / 1000) % 60)}.${pad(milliseconds % 1000, 3)}`;
+    }
+};